@@ -1,5 +1,8 @@
 // Background script for Copilot Sidebar Extension
 
+// Shared extraction helpers (runPageExtraction) and token estimates (TokenCounter)
+importScripts('extraction-runner.js', 'token-counter.js');
+
 // Small helper: flash text on the toolbar badge briefly
 function flashBadge(text, color, ms = 2000) {
   try {
@@ -234,58 +237,54 @@ chrome.commands.onCommand.addListener(async (command) => {
     const { filterPatterns } = await chrome.storage.sync.get('filterPatterns');
     const patterns = filterPatterns || DEFAULT_FILTERS;
 
-    // First inject the content-extractor.js script
-    await chrome.scripting.executeScript({
-      target: { tabId: activeTab.id },
-      files: ['content-extractor.js']
-    });
-
-    // Execute the existing content-script extractor in the page context with custom filters
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: activeTab.id },
-      args: [patterns],
-      func: (customFilters) => {
-        // This function is injected into the page and has no access to the background script's scope.
-        // All functions and data it needs must be defined here.
-
-        // Set custom filters in window scope for the shared filterMarkdown function
-        window.__customFilters = customFilters;
-
-        // Use the shared content extraction logic
-        const { extractMainContent } = window.ContentExtractor || {};
-
-        // Extract content using shared logic
-        if (typeof extractMainContent === 'function') {
-          return extractMainContent();
-        } else {
-          throw new Error('ContentExtractor.extractMainContent is not available');
-        }
-      }
+    // Per-site extraction rules and extraction options set in the sidebar
+    const { siteRules, includeCollapsed, referenceLinks, siteHandlers, forumThreads, tableOfContents, includeComments, maxComments, followPages, maxPages, autoScroll, loadMoreSelectors, tokenModel, tokenBudget, outputFormat, includeBlocks } =
+      await chrome.storage.sync.get(['siteRules', 'includeCollapsed', 'referenceLinks', 'siteHandlers', 'forumThreads', 'tableOfContents', 'includeComments', 'maxComments', 'followPages', 'maxPages', 'autoScroll', 'loadMoreSelectors', 'tokenModel', 'tokenBudget', 'outputFormat', 'includeBlocks']);
+
+    // Header prepended to the extracted content: the user's saved custom prompt (from sidebar)
+    // and a lightweight Source line for grounding
+    const pageTitle = activeTab.title || '';
+    const pageUrl = activeTab.url || '';
+    const { customPrompt } = await chrome.storage.sync.get('customPrompt');
+    const headerParts = [];
+    if (customPrompt && typeof customPrompt === 'string' && customPrompt.trim().length > 0) {
+      headerParts.push(customPrompt.trim());
+    }
+    headerParts.push(`Source: ${pageTitle} — ${pageUrl}`);
+    const header = headerParts.join('\n') + '\n\n';
+    const model = tokenModel || TokenCounter.DEFAULT_MODEL_FAMILY;
+
+    // Inject content-extractor.js into all frames and run the extractor with custom filters
+    const value = await runPageExtraction(activeTab.id, patterns, {
+      siteRules: Array.isArray(siteRules) ? siteRules : [],
+      includeCollapsed: includeCollapsed === true,
+      referenceLinks: referenceLinks === true,
+      siteHandlers: siteHandlers !== false,
+      forumThreads: forumThreads !== false,
+      tableOfContents: tableOfContents === true,
+      includeComments: includeComments === true,
+      maxComments: maxComments || DEFAULT_MAX_COMMENTS,
+      followPages: followPages === true,
+      maxPages: maxPages || DEFAULT_MAX_PAGES,
+      autoScroll: autoScroll === true,
+      loadMoreSelectors: loadMoreSelectors || '',
+      tokenModel: model,
+      // The budget covers the copied text, so the header's share is reserved
+      tokenBudget: tokenBudget > 0 ? Math.max(1, tokenBudget - TokenCounter.estimateTokens(header, model)) : 0,
+      // Output format chosen in the sidebar (output-renderers.js); Markdown by default
+      format: outputFormat || 'markdown',
+      include: includeBlocks && typeof includeBlocks === 'object' ? includeBlocks : undefined
     });
 
     let extractedText = '';
-    if (results && results.length > 0) {
-      const value = results[0].result;
-      if (value && typeof value === 'object' && 'markdown' in value) {
-        extractedText = value.markdown || '';
-      } else if (typeof value === 'string') {
-        extractedText = value;
-      }
+    if (value && typeof value === 'object' && 'markdown' in value) {
+      extractedText = (typeof value.output === 'string' ? value.output : value.markdown) || '';
+    } else if (typeof value === 'string') {
+      extractedText = value;
     }
 
-    // Prepend the user's saved custom prompt (from sidebar) before the extracted content
+    // Prepend the header before the extracted content
     if (extractedText) {
-      const pageTitle = activeTab.title || '';
-      const pageUrl = activeTab.url || '';
-      // Read the prompt saved by the sidebar from sync storage
-      const { customPrompt } = await chrome.storage.sync.get('customPrompt');
-      const headerParts = [];
-      if (customPrompt && typeof customPrompt === 'string' && customPrompt.trim().length > 0) {
-        headerParts.push(customPrompt.trim());
-      }
-      // Always include a lightweight Source line for grounding
-      headerParts.push(`Source: ${pageTitle} — ${pageUrl}`);
-      const header = headerParts.join('\n') + '\n\n';
       extractedText = header + extractedText;
     }
 
@@ -301,7 +300,7 @@ chrome.commands.onCommand.addListener(async (command) => {
             data: {
               notificationType: 'success',
               title: 'Content Copied',
-              message: 'Saved prompt + extracted content copied to clipboard.',
+              message: `Saved prompt + extracted content copied to clipboard (≈${TokenCounter.formatCount(TokenCounter.estimateTokens(extractedText, model))} tokens).`,
               duration: 4000
             }
           });
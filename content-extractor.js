@@ -2,30 +2,104 @@
 // This module can be imported by both content-script.js and background.js
 
 (function() {
+  const DEFAULT_INCLUDE = { heading: true, paragraph: true, list: true, code: true, blockquote: true, table: true, image: true, math: true,
+    definitions: true, details: true, hr: true, figure: true, footnotes: true, links: true, page: true, comments: true };
+
+  // Elements removed by the active site rule; consulted by the chunker, serializer and scorer
+  // while an extraction runs (the live page is never modified)
+  let excludedElements = null;
+
+  // Selection range being chunked; nodes outside it are skipped and boundary text is clipped
+  let activeRange = null;
+
+  // Set when collapsed content (closed details, inactive tab panels, closed accordions) is included;
+  // holds the ids of regions controlled by aria-expanded="false" triggers
+  let collapsedScope = null;
+
+  // Footnotes resolved from in-text markers (note element -> label) and, when reference-style
+  // links are on, link URLs collected for the definitions at the end
+  let references = null;
+
+  // Elements whose subtree has been emitted as a chunk during the current extraction, so that
+  // overlapping roots and selection ranges never emit them (or their descendants) again
+  let emittedElements = null;
+
+  // Continuation page being extracted in multi-page mode ({doc, url}); null means the live page
+  let pageSource = null;
+
+  /**
+   * Block types to render: DEFAULT_INCLUDE with the types options.include sets to false switched off.
+   * @param {{include?:Object<string, boolean>}} [options]
+   * @returns {Object<string, boolean>}
+   */
+  function resolveInclude(options = {}) {
+    return options.include ? { ...DEFAULT_INCLUDE, ...options.include } : DEFAULT_INCLUDE;
+  }
+
   /**
    * Extract and structure page content for AI consumption.
    * - Identifies a main content container
    * - Performs semantic chunking (headings, paragraphs, lists, code blocks)
    * - Preserves code fences with language tags when detectable
-   * - Builds a context metadata header (url, title, timestamp, selection ranges, breadcrumb headings)
+   * - Builds a YAML front matter header (url, title, timestamp, selection ranges, breadcrumb headings,
+   *   plus canonical URL, authors, dates, site name, description, language and type from page metadata)
+   * - Applies the first matching per-site rule (root/remove/title/author selectors) ahead of the heuristics
+   * - Optionally includes content hidden only because it is collapsed (options.includeCollapsed)
+   * - Resolves footnote markers to Markdown footnotes; optionally renders links reference-style (options.referenceLinks)
+   * - Normalizes heading levels; optionally prepends a table of contents (options.tableOfContents)
+   * - Optionally appends reader comments as a separate "Comments" block (options.includeComments,
+   *   at most options.maxComments); they are otherwise left to the article and the filters
+   * - Renders only the block types left on in options.include, without the sections whose heading
+   *   slugs are listed in options.excludeSections (the chunks are returned complete)
+   * @param {{siteRules?:Array<Object>, includeCollapsed?:boolean, referenceLinks?:boolean, tableOfContents?:boolean, includeComments?:boolean, maxComments?:number, include?:Object<string, boolean>, excludeSections?:string[]}} [options]
    * @returns {{markdown:string, chunks:Array, context:Object}} structured extraction
    */
-  function extractMainContent() {
-    const mainEl = findMainContentElement();
-    const selectionInfo = getSelectionInfo();
-    const context = buildContext(selectionInfo);
+  function extractMainContent(options = {}) {
+    const site = resolveSiteRule(matchSiteRule(options.siteRules, location.href));
+    excludedElements = site.exclusions;
+    collapsedScope = options.includeCollapsed ? createCollapsedScope() : null;
+    references = createReferenceState(options);
+    emittedElements = new WeakSet();
+    let context, chunks;
+    const commentChunks = [];
+    try {
+      const main = site.roots.length ? null : findMainContent();
+      const selectionInfo = getSelectionInfo();
+      context = buildContext(selectionInfo, main, site);
 
-    // Choose root for parsing: prefer selection container if meaningful, else mainEl, else body
-    const root = selectionInfo.containerEl || mainEl || document.body;
-
-    // Build chunks
-    const chunks = chunkDomToSemanticBlocks(root);
+      if (selectionInfo.hasSelection) {
+        // Selection mode: only the selected fragments of every range, keeping their structure
+        chunks = getSelectionRanges().flatMap(range => chunkSelectionRange(range));
+      } else {
+        // Choose roots for parsing: the site rule's root, else the main content
+        // (winner plus merged siblings), else body
+        const roots = site.roots.length ? site.roots : (main ? main.roots : [document.body]);
+        // Reader comments are taken out of the article and appended as their own block
+        // (read first: an article walk that consumes a whole layout table would claim them)
+        const comments = options.includeComments ? findCommentSections(roots) : null;
+        if (comments) {
+          const block = buildCommentsChunk(comments.items, options.maxComments);
+          if (block) commentChunks.push(block);
+          // Comment frames (Disqus) extract themselves; mergeFrameResults() puts their comments here
+          comments.frames.forEach(src => commentChunks.push({ type: 'frame', src }));
+          excludedElements = new Set([...(excludedElements || []), ...comments.sections]);
+        }
+        chunks = roots.flatMap(root => chunkDomToSemanticBlocks(root));
+      }
+      chunks = dedupeChunks(chunks);
+      chunks.push(...commentChunks, ...collectReferenceChunks());
+    } finally {
+      excludedElements = null;
+      collapsedScope = null;
+      references = null;
+      emittedElements = null;
+    }
 
-    // Simple include toggles default: include all chunk types
-    const include = { heading: true, paragraph: true, list: true, code: true, blockquote: true, table: true };
+    // Block types to render: all by default, options.include switches types off
+    const include = resolveInclude(options);
 
     // Compose markdown
-    const markdown = renderMarkdown(chunks, include, context);
+    const markdown = renderMarkdown(chunks, include, context, options);
 
     return {
       markdown,
@@ -35,113 +109,770 @@
   }
 
   /**
-   * Heuristic: find likely main content container
+   * Extract the main content of a sub-frame for merging into the top frame's result.
+   * Frames whose parent can read them (same-origin) are already walked by the top frame,
+   * so only frames with a cross-origin parent return anything.
+   * @param {{siteRules?:Array<Object>}} [options] site rules are matched against the frame's own URL
+   * @returns {{url:string, chunks:Array}|null}
    */
-  function findMainContentElement() {
-    let bestElement = null;
-    let bestScore = 0;
-    const contentSelectors = [
-      'article','main','.content','.post-content','.article-content','.entry-content','#content','.main-content'
-    ];
-    for (const selector of contentSelectors) {
-      const elements = document.querySelectorAll(selector);
-      for (const element of elements) {
-        if (isHidden(element)) continue;
-        const score = getTextContentLength(element);
-        if (score > bestScore) {
-          bestScore = score;
-          bestElement = element;
+  function extractFrameContent(options = {}) {
+    if (window.top === window) return null;
+    // frameElement is null when the parent is cross-origin, i.e. when the parent cannot walk this frame
+    if (window.frameElement) return null;
+    const site = resolveSiteRule(matchSiteRule(options.siteRules, location.href));
+    excludedElements = site.exclusions;
+    collapsedScope = options.includeCollapsed ? createCollapsedScope() : null;
+    // Link numbers would restart in every frame, so frames keep their links inline
+    references = createReferenceState({});
+    emittedElements = new WeakSet();
+    try {
+      // A comment frame (Disqus) contributes its comments when they are included, nothing otherwise
+      if (isCommentFrame()) {
+        const block = options.includeComments ? buildCommentsChunk(findCommentSections([]).items, options.maxComments) : null;
+        return block ? { url: location.href, chunks: [block] } : null;
+      }
+      const main = site.roots.length ? null : findMainContent();
+      const roots = site.roots.length ? site.roots : (main ? main.roots : [document.body].filter(Boolean));
+      const chunks = dedupeChunks(roots.flatMap(root => chunkDomToSemanticBlocks(root)).filter(c => c.type !== 'frame'));
+      if (!chunks.length) return null;
+      chunks.push(...collectReferenceChunks());
+      return { url: location.href, chunks };
+    } finally {
+      excludedElements = null;
+      collapsedScope = null;
+      references = null;
+      emittedElements = null;
+    }
+  }
+
+  /**
+   * Extract an article split over several pages: the current page, then the pages reached by
+   * following rel="next" / pagination links on the same origin, concatenated with page markers.
+   * Each continuation page is fetched and laid out in a hidden, script-less frame so that the
+   * same scoring and chunking (which need computed styles) apply; the frames are removed after.
+   * Headings and leading blocks that repeat earlier pages (title, byline, standfirst) are dropped.
+   * Falls back to extractMainContent() when text is selected.
+   * @param {{siteRules?:Array<Object>, includeCollapsed?:boolean, referenceLinks?:boolean, maxPages?:number}} [options]
+   * @returns {Promise<{markdown:string, chunks:Array, context:Object}>}
+   */
+  async function extractMultiPageContent(options = {}) {
+    const selectionInfo = getSelectionInfo();
+    if (selectionInfo.hasSelection) return extractMainContent(options);
+    const maxPages = Math.max(1, Math.min(MAX_STITCHED_PAGES, parseInt(options.maxPages, 10) || MAX_STITCHED_PAGES));
+    const frames = [];
+    let context, chunks;
+    references = createReferenceState(options);
+    emittedElements = new WeakSet();
+    try {
+      const first = chunkPage(options, location.href);
+      context = buildContext(selectionInfo, first.main, first.site);
+      chunks = first.chunks;
+
+      const pages = [location.href];
+      const seen = new Set([stripPageHash(location.href)]);
+      const signatures = new Set(chunks.map(chunkSignature));
+      let next = findNextPageUrl(document, location.href);
+      while (next && pages.length < maxPages && !seen.has(stripPageHash(next))) {
+        seen.add(stripPageHash(next));
+        const frame = await loadPageFrame(next);
+        if (!frame) break;
+        frames.push(frame);
+        pageSource = { doc: frame.contentDocument, url: next };
+        const page = chunkPage(options, next);
+        pageSource = null;
+
+        // Drop the repeated page header: leading blocks seen on earlier pages, and repeated headings
+        let start = 0;
+        while (start < page.chunks.length && signatures.has(chunkSignature(page.chunks[start]))) start++;
+        const fresh = page.chunks.slice(start).filter(c => c.type !== 'heading' || !signatures.has(chunkSignature(c)));
+        fresh.forEach(c => signatures.add(chunkSignature(c)));
+
+        pages.push(next);
+        chunks.push({ type: 'page', number: pages.length, url: next }, ...fresh);
+        next = findNextPageUrl(frame.contentDocument, next);
+      }
+      context.pages = pages;
+      chunks = dedupeChunks(chunks);
+      chunks.push(...collectReferenceChunks());
+    } finally {
+      excludedElements = null;
+      collapsedScope = null;
+      references = null;
+      emittedElements = null;
+      pageSource = null;
+      frames.forEach(frame => frame.remove());
+    }
+
+    const markdown = renderMarkdown(chunks, resolveInclude(options), context, options);
+    return { markdown, chunks, context };
+  }
+
+  // Upper bound on options.maxPages (the default is DEFAULT_MAX_PAGES in extraction-runner.js)
+  const MAX_STITCHED_PAGES = 20;
+
+  // Chunks of the page being extracted (the live page, or pageSource), using its site rule
+  function chunkPage(options, url) {
+    const site = resolveSiteRule(matchSiteRule(options.siteRules, url));
+    // Page links are navigation between the stitched pages, not content
+    excludedElements = new Set([...(site.exclusions || []), ...getPageDocument().querySelectorAll(PAGINATION_SELECTOR)]);
+    collapsedScope = options.includeCollapsed ? createCollapsedScope() : null;
+    const main = site.roots.length ? null : findMainContent();
+    const body = getPageDocument().body;
+    const roots = site.roots.length ? site.roots : (main ? main.roots : [body].filter(Boolean));
+    return { site, main, chunks: roots.flatMap(root => chunkDomToSemanticBlocks(root)) };
+  }
+
+  function getPageDocument() {
+    return pageSource ? pageSource.doc : document;
+  }
+
+  function getPageUrl() {
+    return pageSource ? pageSource.url : location.href;
+  }
+
+  function stripPageHash(url) {
+    return String(url || '').split('#')[0];
+  }
+
+  // Identity of a chunk for de-duplication (breadcrumbs differ between pages)
+  function chunkSignature(chunk) {
+    const { breadcrumb, ...rest } = chunk;
+    return JSON.stringify(rest);
+  }
+
+  const NEXT_LINK_TEXT = /^(?:next(?:\s+page)?|more|continue(?:\s+reading)?|weiter|nächste(?:\s+seite)?|suivant(?:e)?|page\s+suivante|siguiente|próxima|successiva|次へ|下一页|下一頁|다음)\s*[›»→>]*$|^[›»→>]{1,2}$/i;
+  const PAGINATION_SELECTOR = '.pagination, .pager, .page-numbers, .pagenav, .page-nav, .paging, [class*="pagination"], [class*="pager"], ' +
+    'nav[aria-label*="pagination" i], nav[aria-label*="pages" i], [role="navigation"][aria-label*="page" i]';
+
+  /**
+   * URL of the next page of the same article, or '' when there is none.
+   * - <link rel="next"> / <a rel="next">
+   * - "Next"/"›" links, and the link numbered one past the current page, in pagination controls
+   * Only same-origin URLs whose path matches the current one once page numbers are ignored
+   * (/story/ -> /story/2/, story.html -> story.html?page=2) are accepted, so "next post"
+   * links to a different article are not followed.
+   * @param {Document} doc
+   * @param {string} currentUrl
+   * @returns {string}
+   */
+  function findNextPageUrl(doc, currentUrl) {
+    const accept = (href) => {
+      if (!href) return '';
+      let url;
+      try {
+        url = new URL(href, currentUrl);
+      } catch (_) {
+        return '';
+      }
+      const current = new URL(currentUrl);
+      if (!/^https?:$/.test(url.protocol) || url.origin !== current.origin) return '';
+      if (stripPageHash(url.href) === stripPageHash(current.href)) return '';
+      return pageKey(url) === pageKey(current) ? url.href : '';
+    };
+
+    for (const link of doc.querySelectorAll('link[rel~="next" i][href], a[rel~="next" i][href]')) {
+      const url = accept(link.getAttribute('href'));
+      if (url) return url;
+    }
+
+    const containers = Array.from(doc.querySelectorAll(PAGINATION_SELECTOR));
+    for (const container of containers) {
+      for (const a of container.querySelectorAll('a[href]')) {
+        const label = cleanInline(a.getAttribute('aria-label') || a.textContent || '');
+        const className = typeof a.className === 'string' ? a.className : '';
+        if (NEXT_LINK_TEXT.test(label) || /(?:^|[\s_-])next(?:[\s_-]|$)/i.test(className)) {
+          const url = accept(a.getAttribute('href'));
+          if (url) return url;
         }
       }
-      if (bestScore > 1000) break;
-    }
-    if (bestScore < 500) {
-      // fallback: expand from densest paragraph
-      const paragraphs = document.querySelectorAll('p');
-      let bestParagraph = null;
-      let bestParagraphScore = 0;
-      for (const p of paragraphs) {
-        if (isHidden(p)) continue;
-        const len = p.textContent.trim().length;
-        if (len > bestParagraphScore) { bestParagraphScore = len; bestParagraph = p; }
-      }
-      if (bestParagraph && bestParagraphScore > 100) {
-        let parent = bestParagraph.parentElement;
-        let bestParent = parent;
-        let bestParentScore = getTextContentLength(parent);
-        for (let i = 0; i < 3; i++) {
-          if (!parent) break;
-          parent = parent.parentElement;
-          if (!parent) break;
-          const parentScore = getTextContentLength(parent);
-          if (parentScore > bestParentScore * 1.2) { bestParent = parent; bestParentScore = parentScore; }
+      // Numbered pagination: the link one past the current page
+      const currentEl = container.querySelector('[aria-current="page"], .current, .active, .selected');
+      const currentNumber = currentEl ? parseInt(cleanInline(currentEl.textContent || ''), 10) : NaN;
+      if (Number.isFinite(currentNumber)) {
+        const nextLink = Array.from(container.querySelectorAll('a[href]')).find(a => cleanInline(a.textContent || '') === String(currentNumber + 1));
+        const url = nextLink && accept(nextLink.getAttribute('href'));
+        if (url) return url;
+      }
+    }
+    return '';
+  }
+
+  // Article identity of a URL: its path with page numbers and page segments removed
+  function pageKey(url) {
+    return url.pathname
+      .replace(/\/(?:page|p|seite|pagina)\/?\d+\/?$/i, '/')
+      .replace(/[-_.]?(?:page|p|seite|pagina)?[-_]?\d+(?=\.\w+$|\/?$)/i, '')
+      .replace(/\/+$/, '')
+      .toLowerCase();
+  }
+
+  /**
+   * Fetch a page and lay it out in a hidden frame: sandboxed without scripts but same-origin,
+   * so its DOM and computed styles can be read. Resolves to null when the page cannot be loaded.
+   * @param {string} url
+   * @returns {Promise<HTMLIFrameElement|null>}
+   */
+  async function loadPageFrame(url) {
+    let html;
+    try {
+      const response = await fetch(url, { credentials: 'include' });
+      if (!response.ok || !/html/i.test(response.headers.get('content-type') || 'text/html')) return null;
+      html = await response.text();
+    } catch (_) {
+      return null;
+    }
+
+    // Relative URLs in the fetched page must resolve against its own address
+    const parsed = new DOMParser().parseFromString(html, 'text/html');
+    parsed.querySelectorAll('base, meta[http-equiv="refresh" i]').forEach(el => el.remove());
+    const base = parsed.createElement('base');
+    base.setAttribute('href', url);
+    parsed.head.prepend(base);
+
+    const frame = document.createElement('iframe');
+    frame.setAttribute('sandbox', 'allow-same-origin');
+    frame.setAttribute('aria-hidden', 'true');
+    frame.tabIndex = -1;
+    frame.style.cssText = `position:fixed;left:-20000px;top:0;width:${window.innerWidth || 1280}px;height:${window.innerHeight || 800}px;border:0;pointer-events:none;`;
+    const loaded = new Promise(resolve => {
+      frame.addEventListener('load', resolve, { once: true });
+      // Slow subresources should not hold up the extraction; the DOM is parsed long before
+      setTimeout(resolve, PAGE_LOAD_TIMEOUT_MS);
+    });
+    frame.srcdoc = '<!DOCTYPE html>' + parsed.documentElement.outerHTML;
+    document.documentElement.appendChild(frame);
+    await loaded;
+    if (!frame.contentDocument || !frame.contentDocument.body) {
+      frame.remove();
+      return null;
+    }
+    return frame;
+  }
+
+  const PAGE_LOAD_TIMEOUT_MS = 8000;
+
+  /**
+   * Find the first site rule (in list order) whose pattern matches the URL.
+   * - Patterns without "/" match the hostname: "docs.example.com", "*.example.com" (also matches example.com)
+   * - Patterns with "/" are globs over the URL, prefix-matched: "example.com/docs/*", "https://*.corp.net/wiki"
+   *   (the scheme is only compared when the pattern has one)
+   * @param {Array<{pattern:string}>} rules
+   * @param {string} url
+   * @returns {Object|null}
+   */
+  function matchSiteRule(rules, url) {
+    if (!Array.isArray(rules) || !rules.length) return null;
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (_) {
+      return null;
+    }
+    const toRegex = glob => glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    for (const rule of rules) {
+      const pattern = (rule && typeof rule.pattern === 'string' ? rule.pattern : '').trim();
+      if (!pattern) continue;
+      if (!pattern.includes('/')) {
+        const host = pattern.replace(/^\*\./, '');
+        const wildcard = pattern.startsWith('*.');
+        if (parsed.hostname === host || (wildcard && parsed.hostname.endsWith('.' + host)) ||
+            (!wildcard && pattern.includes('*') && new RegExp(`^${toRegex(pattern)}$`, 'i').test(parsed.hostname))) {
+          return rule;
         }
-        bestElement = bestParent;
+        continue;
       }
+      const target = /^[a-z]+:\/\//i.test(pattern) ? parsed.href : parsed.href.replace(/^[a-z]+:\/\//i, '');
+      if (new RegExp(`^${toRegex(pattern)}`, 'i').test(target)) return rule;
     }
-    return bestElement;
+    return null;
   }
 
-  function chunkDomToSemanticBlocks(root) {
+  /**
+   * Resolve a site rule's selectors against the page.
+   * Invalid selectors are reported in `errors` instead of aborting the extraction.
+   * @param {{pattern:string, root?:string, remove?:(string[]|string), title?:string, author?:string}|null} rule
+   * @returns {{rule:Object|null, roots:Element[], exclusions:(Set<Element>|null), title:string, author:string, errors:string[]}}
+   */
+  function resolveSiteRule(rule) {
+    const site = { rule, roots: [], exclusions: null, title: '', author: '', errors: [] };
+    if (!rule) return site;
+
+    const searchRoots = getSearchRoots();
+    const queryAll = (selector) => {
+      try {
+        return searchRoots.flatMap(r => Array.from(r.querySelectorAll(selector)));
+      } catch (e) {
+        site.errors.push(`Invalid selector: ${selector}`);
+        return [];
+      }
+    };
+    const textOf = (selector) => {
+      if (!selector) return '';
+      return queryAll(selector).map(el => cleanInline(el.textContent || '')).filter(Boolean).filter((t, i, all) => all.indexOf(t) === i).join(', ');
+    };
+
+    if (rule.root) {
+      // Keep only outermost matches so nested matches are not extracted twice
+      const matches = queryAll(rule.root).filter(el => !isHidden(el));
+      site.roots = matches.filter(el => !matches.some(other => other !== el && other.contains(el)));
+    }
+    const remove = Array.isArray(rule.remove) ? rule.remove : String(rule.remove || '').split('\n');
+    const exclusions = new Set();
+    for (const selector of remove.map(r => r.trim()).filter(Boolean)) {
+      queryAll(selector).forEach(el => exclusions.add(el));
+    }
+    site.exclusions = exclusions.size ? exclusions : null;
+    site.title = textOf(rule.title);
+    site.author = textOf(rule.author);
+    return site;
+  }
+
+  // True when the element or one of its (composed) ancestors is removed by the active site rule
+  function isExcluded(el) {
+    if (!excludedElements) return false;
+    for (let cur = el; cur; cur = getComposedParent(cur)) {
+      if (excludedElements.has(cur)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Replace the top frame's 'frame' placeholder chunks with the chunks extracted from the
+   * matching sub-frames (by URL, ignoring the hash), then re-render the Markdown.
+   * Frame results with no matching placeholder (hidden or nested ad frames) are dropped.
+   * Frames number their footnotes from 1 as well, so frame labels already in use are renumbered.
+   * @param {{markdown:string, chunks:Array, context:Object}} result top-frame extraction
+   * @param {Array<{url:string, chunks:Array}>} frames sub-frame extractions
+   * @param {{tableOfContents?:boolean}} [options] rendering options of the extraction
+   * @returns {{markdown:string, chunks:Array, context:Object}}
+   */
+  function mergeFrameResults(result, frames, options = {}) {
+    const stripHash = (u) => String(u || '').split('#')[0];
+    const pending = (frames || []).filter(Boolean);
+    const labels = collectFootnoteLabels(result.chunks);
     const chunks = [];
+    for (const c of result.chunks) {
+      if (c.type !== 'frame') {
+        chunks.push(c);
+        continue;
+      }
+      const i = pending.findIndex(f => stripHash(f.url) === stripHash(c.src));
+      if (i !== -1) chunks.push(...relabelFrameFootnotes(pending.splice(i, 1)[0].chunks, labels));
+    }
+    const markdown = renderMarkdown(chunks, resolveInclude(options), result.context, options);
+    return { markdown, chunks, context: result.context };
+  }
+
+  // Footnote labels defined in a chunk list
+  function collectFootnoteLabels(chunks) {
+    const labels = new Set();
+    chunks.filter(c => c.type === 'footnotes').forEach(c => c.items.forEach(item => labels.add(String(item.label))));
+    return labels;
+  }
+
+  /**
+   * A frame's chunks with the footnote labels already in `labels` renumbered after the highest
+   * numeric label; markers and definitions are rewritten alike, code blocks are left as they are.
+   * The frame's final labels are added to `labels`.
+   */
+  function relabelFrameFootnotes(chunks, labels) {
+    const own = collectFootnoteLabels(chunks);
+    const taken = new Set([...labels, ...own]);
+    const renamed = new Map();
+    let next = Math.max(0, ...Array.from(labels, label => parseInt(label, 10) || 0)) + 1;
+    own.forEach(label => {
+      if (labels.has(label)) {
+        while (taken.has(String(next))) next++;
+        renamed.set(label, String(next));
+        taken.add(String(next));
+      }
+      labels.add(renamed.get(label) || label);
+    });
+    if (!renamed.size) return chunks;
+
+    const relabel = text => text.replace(/\[\^([^\]\s]+)\]/g, (m, label) => (renamed.has(label) ? `[^${renamed.get(label)}]` : m));
+    const visit = value => {
+      if (typeof value === 'string') return relabel(value);
+      if (Array.isArray(value)) return value.map(visit);
+      if (!value || typeof value !== 'object' || value.type === 'code') return value;
+      const out = {};
+      Object.keys(value).forEach(key => { out[key] = visit(value[key]); });
+      if (value.type === 'footnotes') {
+        out.items = value.items.map(item => ({ ...visit(item), label: renamed.get(String(item.label)) || item.label }));
+      }
+      return out;
+    };
+    return chunks.map(visit);
+  }
+
+  /**
+   * Heuristic: find likely main content container
+   * @returns {Element|null}
+   */
+  function findMainContentElement() {
+    const main = findMainContent();
+    return main ? main.element : null;
+  }
+
+  // Class/id hints, after Readability: boilerplate containers vs. article bodies
+  const NEGATIVE_HINTS = /banner|combx|comment|com-|contact|foot|masthead|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget|\bads?\b|advert|popup|modal|cookie|newsletter|subscribe|social|breadcrumb|menu|\bnav/i;
+  const POSITIVE_HINTS = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story|prose|markdown/i;
+
+  /**
+   * Score candidate containers and pick the main content, Readability-style.
+   * - Each paragraph-like block (>= 25 chars) scores 1 + commas + 1 per 100 chars (max 3),
+   *   credited in full to its parent, half to its grandparent and a third or less further up
+   * - Candidates start from a tag weight plus +/-25 per positive/negative class or id hint
+   * - Final score is scaled by (1 - link density)
+   * - Siblings of the winner that score well or look like prose are merged into the result
+   * @returns {{element:Element, score:number, roots:Element[], candidates:Array<Object>}|null}
+   */
+  function findMainContent() {
+    const searchRoots = getSearchRoots();
+    const queryAll = selector => searchRoots.flatMap(r => Array.from(r.querySelectorAll(selector)));
+    const scores = new Map();
+
+    const initCandidate = (el) => {
+      if (!scores.has(el)) scores.set(el, getTagWeight(el) + getClassWeight(el));
+      return el;
+    };
+
+    const blocks = queryAll('p, pre, td, blockquote, div').filter(el => el.tagName !== 'DIV' || !hasBlockChildren(el));
+    for (const block of blocks) {
+      const text = (block.textContent || '').trim();
+      if (text.length < 25) continue;
+      if (isHidden(block) || isExcluded(block)) continue;
+      const commas = (text.match(/[,，、]/g) || []).length;
+      const contentScore = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+
+      let ancestor = getComposedParent(block);
+      for (let level = 0; ancestor && level < 5; level++) {
+        if (ancestor.tagName === 'BODY' || ancestor.tagName === 'HTML') break;
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        initCandidate(ancestor);
+        scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+        ancestor = getComposedParent(ancestor);
+      }
+    }
+
+    const ranked = [];
+    for (const [el, raw] of scores) {
+      const score = raw * (1 - getLinkDensity(el));
+      ranked.push({ el, score });
+    }
+    if (!ranked.length) return null;
+    ranked.sort((a, b) => b.score - a.score);
+
+    const top = ranked[0];
+    const finalScores = new Map(ranked.map(r => [r.el, r.score]));
+    const roots = mergeSiblingCandidates(top.el, top.score, finalScores);
+
+    return {
+      element: top.el,
+      score: top.score,
+      roots,
+      candidates: ranked.slice(0, 5).map(r => ({ ...describeElement(r.el), score: round2(r.score) }))
+    };
+  }
 
-    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
-      acceptNode(node) {
-        // Skip hidden or script/style/nav/etc elements
-        if (node.nodeType === Node.ELEMENT_NODE) {
-          const el = /** @type {Element} */(node);
-          const tag = el.tagName.toLowerCase();
-          if (['script','style','nav','header','footer','aside'].includes(tag)) return NodeFilter.FILTER_REJECT;
-          if (isHidden(el)) return NodeFilter.FILTER_REJECT;
+  // Siblings of the winning candidate that belong to the same article (Readability's sibling pass)
+  function mergeSiblingCandidates(topEl, topScore, finalScores) {
+    const parent = topEl.parentElement;
+    if (!parent) return [topEl];
+    const threshold = Math.max(10, topScore * 0.2);
+    const roots = [];
+    for (const sibling of parent.children) {
+      if (sibling === topEl) {
+        roots.push(sibling);
+        continue;
+      }
+      if (isHidden(sibling)) continue;
+      const bonus = sibling.className && sibling.className === topEl.className ? topScore * 0.2 : 0;
+      const score = finalScores.get(sibling);
+      if (score !== undefined && score + bonus >= threshold) {
+        roots.push(sibling);
+        continue;
+      }
+      if (sibling.tagName === 'P') {
+        const text = (sibling.textContent || '').trim();
+        const density = getLinkDensity(sibling);
+        if ((text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text))) {
+          roots.push(sibling);
         }
-        return NodeFilter.FILTER_ACCEPT;
       }
+    }
+    return roots;
+  }
+
+  function getTagWeight(el) {
+    switch (el.tagName) {
+      case 'ARTICLE':
+      case 'MAIN':
+        return 10;
+      case 'DIV':
+      case 'SECTION':
+        return 5;
+      case 'PRE':
+      case 'TD':
+      case 'BLOCKQUOTE':
+        return 3;
+      case 'ADDRESS':
+      case 'OL':
+      case 'UL':
+      case 'DL':
+      case 'DD':
+      case 'DT':
+      case 'LI':
+      case 'FORM':
+        return -3;
+      case 'H1':
+      case 'H2':
+      case 'H3':
+      case 'H4':
+      case 'H5':
+      case 'H6':
+      case 'TH':
+        return -5;
+      default:
+        return 0;
+    }
+  }
+
+  function getClassWeight(el) {
+    let weight = 0;
+    const className = typeof el.className === 'string' ? el.className : '';
+    for (const hint of [className, el.id || '']) {
+      if (!hint) continue;
+      if (NEGATIVE_HINTS.test(hint)) weight -= 25;
+      if (POSITIVE_HINTS.test(hint)) weight += 25;
+    }
+    const role = el.getAttribute('role');
+    if (role === 'main' || role === 'article' || el.getAttribute('itemprop') === 'articleBody') weight += 25;
+    if (role === 'complementary' || role === 'navigation' || role === 'banner' || role === 'contentinfo') weight -= 25;
+    return weight;
+  }
+
+  // Share of an element's text that sits inside links
+  function getLinkDensity(el) {
+    const length = (el.textContent || '').trim().length;
+    if (!length) return 0;
+    let linkLength = 0;
+    for (const a of el.querySelectorAll('a')) linkLength += (a.textContent || '').trim().length;
+    return Math.min(1, linkLength / length);
+  }
+
+  // Parent element, stepping out of a shadow root to its host
+  function getComposedParent(el) {
+    if (el.parentElement) return el.parentElement;
+    const parent = el.parentNode;
+    return parent && parent.host ? parent.host : null;
+  }
+
+  // Short CSS-like path identifying an element (for diagnostics in the context)
+  function describeElement(el) {
+    const part = (node) => {
+      let p = node.tagName.toLowerCase();
+      if (node.id) p += `#${node.id}`;
+      const className = typeof node.className === 'string' ? node.className.trim() : '';
+      if (className) p += '.' + className.split(/\s+/).slice(0, 2).join('.');
+      return p;
+    };
+    const path = [];
+    let cur = el;
+    while (cur && path.length < 4 && cur.tagName !== 'BODY' && cur.tagName !== 'HTML') {
+      path.unshift(part(cur));
+      if (cur.id) break;
+      cur = getComposedParent(cur);
+    }
+    return { selector: path.join(' > '), tag: el.tagName.toLowerCase(), textLength: (el.textContent || '').trim().length, linkDensity: round2(getLinkDensity(el)) };
+  }
+
+  function round2(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  function chunkDomToSemanticBlocks(root) {
+    const chunks = [];
+    if (isInsideEmitted(root)) return chunks;
+
+    // Walks the composed tree: open shadow roots and same-origin iframes are descended into in place
+    const walker = walkComposedElements(root, (el) => {
+      // Skip hidden or script/style/nav/etc elements
+      const tag = el.tagName.toLowerCase();
+      // MathJax v2 keeps the TeX source in a (hidden) script next to its rendering
+      if (tag === 'script') return isMathScript(el);
+      if (isMathRendering(el)) return false;
+      if (['script','style','nav','header','footer','aside'].includes(tag)) return false;
+      if (isHiddenContent(el)) return false;
+      if (excludedElements && excludedElements.has(el)) return false;
+      if (emittedElements && emittedElements.has(el)) return false;
+      // Carousel clones repeat the real slides
+      if (el.matches(CAROUSEL_CLONE_SELECTOR)) return false;
+      if (activeRange && !activeRange.intersectsNode(el)) return false;
+      return true;
     });
 
     // Helpers to push chunks
     const push = (type, data) => chunks.push({ type, ...data });
 
-    let node;
-    while ((node = walker.nextNode())) {
-      if (node.nodeType !== Node.ELEMENT_NODE) continue;
-      const el = /** @type {HTMLElement} */(node);
+    // Set when a branch has rendered the element's whole subtree (e.g. a list), so the walker skips it
+    let consumed = false;
+    let current = null;
+    const next = () => {
+      // Remember consumed subtrees so other roots and selection ranges do not emit them again
+      if (consumed && emittedElements) emittedElements.add(current);
+      return walker.next(consumed);
+    };
+
+    for (let step = walker.next(); !step.done; step = next()) {
+      consumed = false;
+      const el = current = /** @type {HTMLElement} */(step.value);
       const tag = el.tagName.toLowerCase();
 
+      // Cross-origin iframes cannot be read from here; leave a placeholder that
+      // mergeFrameResults() fills with the frame's own extraction
+      if (tag === 'iframe' || tag === 'frame') {
+        if (!getFrameDocument(el)) {
+          const src = resolveUrl(el.getAttribute('src'));
+          if (src) push('frame', { src });
+        }
+        continue;
+      }
+
       // Headings
       if (/^h[1-6]$/.test(tag)) {
         const level = parseInt(tag[1], 10);
-        push('heading', { level, text: cleanInline(el.textContent || ''), breadcrumb: getBreadcrumb(el) });
+        push('heading', { level, text: serializeInline(el), breadcrumb: getBreadcrumb(el) });
+        consumed = true;
+        continue;
+      }
+
+      // Math (KaTeX, MathJax, MathML): display math becomes a block, inline math a one-formula paragraph
+      const math = getMathSource(el);
+      if (math) {
+        if (math.tex) push('math', math);
+        consumed = true;
+        continue;
+      }
+      if (isDisplayMathBlock(el)) {
+        const only = getMathElements(el)[0];
+        const tex = only ? getMathSource(only) : null;
+        if (tex && tex.tex) push('math', { tex: tex.tex, display: true });
+        consumed = true;
+        continue;
+      }
+
+      // Disclosure widgets: summary plus the (possibly collapsed) body as nested chunks
+      if (tag === 'details') {
+        const summaryEl = el.querySelector(':scope > summary');
+        const summary = summaryEl ? serializeInline(summaryEl) : '';
+        // A closed body is only read when collapsed content is included
+        const body = el.hasAttribute('open') || collapsedScope ? chunkChildBlocks(el, summaryEl) : [];
+        if (summary || body.length) push('details', { summary, open: el.hasAttribute('open'), chunks: body });
+        consumed = true;
+        continue;
+      }
+
+      // Definition lists
+      if (tag === 'dl') {
+        const items = buildDefinitionItems(el);
+        if (items.length) push('definitions', { items });
+        consumed = true;
+        continue;
+      }
+
+      // Thematic breaks
+      if (tag === 'hr') {
+        push('hr', {});
         continue;
       }
 
       // Code blocks (pre/code)
       if (tag === 'pre') {
+        // Line-number columns of table-based highlighters are separate <pre>s
+        if (el.closest(CODE_GUTTER_SELECTOR)) {
+          consumed = true;
+          continue;
+        }
         const codeEl = el.querySelector('code') || el;
-        const codeText = getCodeText(codeEl);
-        const lang = detectCodeLanguage(codeEl);
-        if (codeText.trim()) push('code', { lang, code: codeText });
+        let codeText = getCodeText(codeEl);
+        const lang = detectCodeLanguage(codeEl, codeText);
+        codeText = stripShellPrompts(codeText, lang);
+        const title = findCodeTitle(el);
+        if (codeText.trim()) push('code', title ? { lang, code: codeText, title } : { lang, code: codeText });
+        consumed = true;
         continue;
       }
 
       // Blockquotes
       if (tag === 'blockquote') {
-        const text = cleanInline(el.innerText || '');
+        const text = serializeInline(el);
         if (text) push('blockquote', { text });
+        consumed = true;
         continue;
       }
 
-      // Lists
+      // Lists (nested lists are folded into the item tree, not emitted again)
       if (tag === 'ul' || tag === 'ol') {
-        const ordered = tag === 'ol';
-        const items = Array.from(el.querySelectorAll(':scope > li')).map(li => cleanInline(li.innerText || '').trim()).filter(Boolean);
-        if (items.length) push('list', { ordered, items });
+        const list = buildListTree(el);
+        if (list.items.length) push('list', list);
+        consumed = true;
         continue;
       }
 
-      // Tables (simple)
+      // Table-based highlighters (line-number cell + code cell): descend so the code <pre> is read
+      if (tag === 'table' && el.querySelector('pre') && el.querySelector(CODE_GUTTER_SELECTOR)) continue;
+
+      // Tables (spans expanded into a grid; HTML fallback for layouts GFM cannot express)
       if (tag === 'table') {
-        const rows = Array.from(el.querySelectorAll('tr')).map(tr => Array.from(tr.children).map(td => cleanInline(td.innerText || '').trim()));
-        if (rows.length) push('table', { rows });
+        const table = buildTableGrid(/** @type {HTMLTableElement} */(el));
+        if (table) push('table', table);
+        consumed = true;
+        continue;
+      }
+
+      // Figures with media: one image chunk per media element, caption attached to the last
+      const figureMedia = tag === 'figure' && !el.querySelector('pre, table, blockquote, ul, ol, dl') ? getMediaElements(el) : [];
+      if (figureMedia.length) {
+        const media = figureMedia;
+        const captionEl = el.querySelector('figcaption');
+        const caption = captionEl ? serializeInline(captionEl) : '';
+        media.forEach((m, i) => {
+          const image = buildImageChunk(m, i === media.length - 1 ? caption : '');
+          if (image) push('image', image);
+        });
+        consumed = true;
+        continue;
+      }
+
+      // Figures without media (code listings, quotes, tables): content plus caption
+      if (tag === 'figure') {
+        const captionEl = el.querySelector(':scope > figcaption');
+        const caption = captionEl ? serializeInline(captionEl) : '';
+        const body = chunkChildBlocks(el, captionEl);
+        if (body.length || caption) push('figure', { caption, chunks: body });
+        consumed = true;
+        continue;
+      }
+
+      // Standalone media
+      if (tag === 'img' || tag === 'picture' || tag === 'video' || tag === 'svg') {
+        const media = tag === 'picture' ? el.querySelector('img') : el;
+        const image = media && !isDecorativeMedia(media) ? buildImageChunk(media, '') : null;
+        if (image) push('image', image);
+        consumed = true;
+        continue;
+      }
+
+      // Footnote sections whose notes were cited become Markdown footnote definitions at the end
+      if (references && el.matches(FOOTNOTE_SECTION_SELECTOR) && claimFootnoteSection(el)) {
+        consumed = true;
+        continue;
+      }
+
+      // Filename/caption bars of code blocks are carried in the code fence instead
+      if (isCodeTitleElement(el)) {
+        consumed = true;
         continue;
       }
 
@@ -149,36 +880,1259 @@
       if (tag === 'p' || tag === 'div' || tag === 'section' || tag === 'article') {
         // Avoid capturing containers that have nested block elements; only capture leaf-ish text
         if (hasBlockChildren(el)) continue;
-        const text = cleanInline(el.innerText || '').trim();
+        const text = serializeInline(el);
+        // A block holding only media (e.g. <p><img></p>) becomes image chunks rather than a paragraph
+        if (text && !(el.textContent || '').trim()) {
+          const media = getMediaElements(el).filter(m => !isDecorativeMedia(m));
+          if (media.length) {
+            media.forEach(m => {
+              const image = buildImageChunk(m, '');
+              if (image) push('image', image);
+            });
+            consumed = true;
+            continue;
+          }
+        }
         if (text) push('paragraph', { text });
+        consumed = true;
         continue;
       }
     }
 
-    // Merge adjacent paragraphs into single paragraph separated by blank line if desired
-    // (Keep simple for now)
-    return chunks;
+    // Merge adjacent paragraphs into single paragraph separated by blank line if desired
+    // (Keep simple for now)
+    return chunks;
+  }
+
+  // Slides duplicated by carousel libraries (slick, Swiper, Glide, Flickity, Splide) for infinite looping
+  const CAROUSEL_CLONE_SELECTOR = '.slick-cloned, .swiper-slide-duplicate, .glide__slide--clone, .flickity-slider > .is-clone, .splide__slide--clone';
+
+  // Whether an element or one of its (composed) ancestors was already emitted in this extraction
+  function isInsideEmitted(el) {
+    if (!emittedElements) return false;
+    for (let cur = el; cur; cur = getComposedParent(cur)) {
+      if (emittedElements.has(cur)) return true;
+    }
+    return false;
+  }
+
+  // Chunk types that are compared for duplicates (headings legitimately repeat, e.g. "Install")
+  const DEDUPE_TYPES = new Set(['paragraph', 'blockquote', 'list', 'code', 'table', 'image', 'math', 'definitions', 'figure', 'details']);
+  const DEDUPE_MIN_LENGTH = 30;
+  const NEAR_DUPLICATE_SIMILARITY = 0.9;
+  const NEAR_DUPLICATE_WINDOW = 200;
+  // Block types compared by their exact text, and the prose types near-duplicate matching applies to
+  const EXACT_DEDUPE_TYPES = new Set(['code', 'table', 'math']);
+  const NEAR_DUPLICATE_TYPES = new Set(['paragraph', 'blockquote', 'list']);
+
+  /**
+   * Drop repeated blocks: responsive duplicates (mobile + desktop copies), carousel slides and
+   * re-emitted nested content. A chunk is dropped when its normalized text (case, punctuation,
+   * Markdown markup and whitespace ignored) hashes the same as an earlier chunk of its type, or,
+   * for prose (paragraphs, quotes, lists), when its word set overlaps an earlier one by 90% or more.
+   * Code, tables and math are only dropped when identical, since before/after samples and
+   * comparison tables differ in an operator or a cell. Short blocks (under 30 characters)
+   * are kept, since "Yes", "Note:" or "Step 1" repeat on purpose. Images compare by source.
+   * @param {Array<Object>} chunks
+   * @returns {Array<Object>}
+   */
+  function dedupeChunks(chunks) {
+    const hashes = new Set();
+    const recent = [];
+    const visit = list => {
+      const out = [];
+      for (const c of list) {
+        const fingerprint = DEDUPE_TYPES.has(c.type) ? getChunkFingerprint(c) : null;
+        if (fingerprint) {
+          if (hashes.has(fingerprint.hash) || isNearDuplicate(fingerprint, recent)) continue;
+          hashes.add(fingerprint.hash);
+          recent.push(fingerprint);
+          if (recent.length > NEAR_DUPLICATE_WINDOW) recent.shift();
+        }
+        out.push(Array.isArray(c.chunks) ? { ...c, chunks: visit(c.chunks) } : c);
+      }
+      return out;
+    };
+    return visit(chunks || []);
+  }
+
+  function getChunkFingerprint(chunk) {
+    if (chunk.type === 'image') return chunk.src ? { type: 'image', hash: `image:${chunk.src}`, words: null } : null;
+    if (EXACT_DEDUPE_TYPES.has(chunk.type)) {
+      const raw = getChunkRawText(chunk);
+      return raw.trim().length < DEDUPE_MIN_LENGTH ? null : { type: chunk.type, hash: `${chunk.type}:exact:${raw}`, words: null, length: raw.length };
+    }
+    const text = getChunkPlainText(chunk).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    if (text.length < DEDUPE_MIN_LENGTH) return null;
+    const words = text.split(' ');
+    return { type: chunk.type, hash: `${chunk.type}:${hashString(text)}:${text.length}`, words: NEAR_DUPLICATE_TYPES.has(chunk.type) && words.length >= 8 ? new Set(words) : null, length: text.length };
+  }
+
+  // Exact text of a code, table or math chunk, punctuation and order included
+  function getChunkRawText(chunk) {
+    if (chunk.type === 'code') return `${chunk.lang || ''}\n${chunk.code}`;
+    if (chunk.type === 'table') return chunk.html || JSON.stringify([chunk.caption || '', chunk.header || [], chunk.rows || []]);
+    return chunk.tex || '';
+  }
+
+  // Text of a chunk for duplicate detection
+  function getChunkPlainText(chunk) {
+    switch (chunk.type) {
+      case 'paragraph':
+      case 'blockquote':
+        return stripInlineMarkdown(chunk.text);
+      case 'list': {
+        const items = list => list.items.map(item => [stripInlineMarkdown(item.text), ...(item.children || []).map(items)].join(' ')).join(' ');
+        return items(chunk);
+      }
+      case 'code':
+        return `${chunk.lang || ''} ${chunk.code}`;
+      case 'table':
+        return chunk.html
+          ? chunk.html.replace(/<[^>]+>/g, ' ')
+          : [chunk.caption || '', ...(chunk.header || []), ...(chunk.rows || []).flat()].map(stripInlineMarkdown).join(' ');
+      case 'math':
+        return chunk.tex;
+      case 'definitions':
+        return chunk.items.map(item => [...item.terms, ...item.definitions].map(stripInlineMarkdown).join(' ')).join(' ');
+      case 'figure':
+      case 'details':
+        return [chunk.summary || '', ...(chunk.chunks || []).map(getChunkPlainText), chunk.caption || ''].join(' ');
+      default:
+        return chunk.text || '';
+    }
+  }
+
+  function isNearDuplicate(fingerprint, recent) {
+    if (!fingerprint.words) return false;
+    return recent.some(other => {
+      if (other.type !== fingerprint.type || !other.words) return false;
+      if (Math.min(other.length, fingerprint.length) / Math.max(other.length, fingerprint.length) < NEAR_DUPLICATE_SIMILARITY) return false;
+      let shared = 0;
+      for (const word of fingerprint.words) if (other.words.has(word)) shared++;
+      return shared / (fingerprint.words.size + other.words.size - shared) >= NEAR_DUPLICATE_SIMILARITY;
+    });
+  }
+
+  // 32-bit FNV-1a hash, hex-encoded
+  function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  /**
+   * Chunk the content of a container, leaving out one child (a <summary> or <figcaption>).
+   * Containers holding only inline content become a single paragraph.
+   * @param {Element} container
+   * @param {Element|null} omit
+   * @returns {Array} chunks
+   */
+  function chunkChildBlocks(container, omit) {
+    if (!hasBlockChildren(container)) {
+      const text = serializeInline(container, omit ? new Set([omit]) : null);
+      return text ? [{ type: 'paragraph', text }] : [];
+    }
+    return getComposedChildren(container)
+      .filter(child => child.nodeType === Node.ELEMENT_NODE && child !== omit && !isHiddenContent(child))
+      .flatMap(child => chunkDomToSemanticBlocks(child));
+  }
+
+  /**
+   * Group a <dl> into terms and their definitions (dt/dd may be wrapped in <div>s).
+   * @param {HTMLElement} dlEl
+   * @returns {Array<{terms:string[], definitions:string[]}>}
+   */
+  function buildDefinitionItems(dlEl) {
+    const entries = [];
+    for (const child of dlEl.children) {
+      if (child.tagName === 'DIV') entries.push(...child.children);
+      else entries.push(child);
+    }
+    const items = [];
+    let current = null;
+    for (const entry of entries) {
+      if (isHiddenContent(entry)) continue;
+      if (activeRange && !activeRange.intersectsNode(entry)) continue;
+      const text = serializeInline(entry);
+      if (!text) continue;
+      if (entry.tagName === 'DT') {
+        // Consecutive terms share the definitions that follow them
+        if (!current || current.definitions.length) {
+          current = { terms: [], definitions: [] };
+          items.push(current);
+        }
+        current.terms.push(text);
+      } else if (entry.tagName === 'DD') {
+        if (!current) {
+          current = { terms: [], definitions: [] };
+          items.push(current);
+        }
+        current.definitions.push(text);
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Build a list tree from a <ul>/<ol>.
+   * Items carry their inline text, task checkbox state (null when not a task item)
+   * and any nested lists found inside the item.
+   * @param {HTMLElement} listEl
+   * @returns {{ordered:boolean, start:number, items:Array<{text:string, checked:(boolean|null), children:Array}>}}
+   */
+  function buildListTree(listEl) {
+    const ordered = listEl.tagName === 'OL';
+    const startAttr = parseInt(listEl.getAttribute('start') || '', 10);
+    const start = ordered && Number.isFinite(startAttr) ? startAttr : 1;
+    const items = [];
+
+    for (const li of listEl.querySelectorAll(':scope > li')) {
+      if (isHiddenContent(li)) continue;
+      if (activeRange && !activeRange.intersectsNode(li)) continue;
+      // Nested lists that belong to this item (not to a deeper item)
+      const nested = Array.from(li.querySelectorAll('ul, ol')).filter(l => l.parentElement.closest('li') === li);
+      const children = nested.filter(l => !isHiddenContent(l)).map(buildListTree).filter(l => l.items.length);
+      const text = serializeInline(li, new Set(nested));
+      const checked = getTaskState(li, nested);
+      if (!text && !children.length) continue;
+      items.push({ text, checked, children });
+    }
+    return { ordered, start, items };
+  }
+
+  // Checkbox state for task-list items: true/false, or null when the item has no checkbox
+  function getTaskState(li, nestedLists) {
+    const boxes = li.querySelectorAll('input[type="checkbox"], [role="checkbox"]');
+    for (const box of boxes) {
+      if (nestedLists.some(l => l.contains(box))) continue;
+      if (box.tagName === 'INPUT') return box.checked;
+      return box.getAttribute('aria-checked') === 'true';
+    }
+    return null;
+  }
+
+  /**
+   * Normalize a <table> into a rectangular grid.
+   * - colspan/rowspan cells are repeated into every position they cover
+   * - header rows come from <thead> or leading rows made only of <th>
+   * - tables with nested tables or block content in cells keep a cleaned HTML copy instead
+   * @param {HTMLTableElement} tableEl
+   * @returns {{caption:string, header:(string[]|null), rows:string[][], html:(string|null)}|null}
+   */
+  function buildTableGrid(tableEl) {
+    const caption = tableEl.caption ? serializeInline(tableEl.caption) : '';
+    const trs = Array.from(tableEl.rows || []).filter(tr => !isHiddenContent(tr) && (!activeRange || activeRange.intersectsNode(tr)));
+    if (!trs.length) return null;
+
+    const needsHtml = Array.from(tableEl.querySelectorAll('td, th')).some(cell =>
+      cell.closest('table') === tableEl && cell.querySelector(TABLE_BLOCK_CONTENT)
+    );
+    if (needsHtml) {
+      return { caption, header: null, rows: [], html: cleanTableHtml(tableEl) };
+    }
+
+    const grid = [];
+    const headerFlags = [];
+    trs.forEach((tr, r) => {
+      grid[r] = grid[r] || [];
+      const cells = Array.from(tr.cells);
+      headerFlags[r] = (tr.parentElement && tr.parentElement.tagName === 'THEAD') ||
+        (cells.length > 0 && cells.every(cell => cell.tagName === 'TH'));
+      let col = 0;
+      for (const cell of cells) {
+        while (grid[r][col] !== undefined) col++;
+        const text = serializeInline(cell);
+        const colspan = Math.max(1, Math.min(parseInt(cell.getAttribute('colspan') || '1', 10) || 1, 100));
+        const rowspanAttr = parseInt(cell.getAttribute('rowspan') || '1', 10);
+        // rowspan="0" spans to the end of the row group
+        const rowspan = rowspanAttr === 0 ? trs.length - r : Math.max(1, Math.min(rowspanAttr || 1, trs.length - r));
+        for (let dr = 0; dr < rowspan; dr++) {
+          grid[r + dr] = grid[r + dr] || [];
+          for (let dc = 0; dc < colspan; dc++) grid[r + dr][col + dc] = text;
+        }
+        col += colspan;
+      }
+    });
+
+    const width = grid.reduce((max, row) => Math.max(max, row.length), 0);
+    const rows = grid.map(row => Array.from({ length: width }, (_, i) => row[i] === undefined ? '' : row[i]));
+
+    // Leading header rows collapse into one GFM header row
+    let headerCount = 0;
+    while (headerCount < rows.length - 1 && headerFlags[headerCount]) headerCount++;
+    let header = null;
+    if (headerCount > 0) {
+      header = rows[0].map((_, i) => {
+        const parts = [];
+        for (let r = 0; r < headerCount; r++) {
+          const v = rows[r][i];
+          if (v && !parts.includes(v)) parts.push(v);
+        }
+        return parts.join(' / ');
+      });
+    }
+    return { caption, header, rows: rows.slice(headerCount), html: null };
+  }
+
+  const TABLE_BLOCK_CONTENT = 'table, ul, ol, dl, pre, blockquote, h1, h2, h3, h4, h5, h6';
+
+  // Cleaned HTML copy of a table: presentational attributes, scripts and styles removed
+  function cleanTableHtml(tableEl) {
+    const clone = /** @type {HTMLElement} */(tableEl.cloneNode(true));
+    // Excluded descendants (site rule removals, comment sections) are dropped from the copy
+    if (excludedElements) {
+      const originals = tableEl.querySelectorAll('*');
+      const copies = clone.querySelectorAll('*');
+      originals.forEach((el, i) => { if (excludedElements.has(el)) copies[i].remove(); });
+    }
+    clone.querySelectorAll('script, style, noscript, template').forEach(n => n.remove());
+    const keep = new Set(['href', 'src', 'alt', 'colspan', 'rowspan', 'scope', 'headers']);
+    for (const node of [clone, ...clone.querySelectorAll('*')]) {
+      for (const attr of Array.from(node.attributes)) {
+        if (!keep.has(attr.name)) node.removeAttribute(attr.name);
+      }
+      if (node.hasAttribute('href')) node.setAttribute('href', resolveUrl(node.getAttribute('href')));
+      if (node.hasAttribute('src')) node.setAttribute('src', resolveUrl(node.getAttribute('src')));
+    }
+    return clone.outerHTML
+      .replace(/>\s+</g, '><')
+      .replace(/<(caption|thead|tbody|tfoot|tr)>/g, '\n<$1>')
+      .replace(/<\/table>$/, '\n</table>');
+  }
+
+  /**
+   * Media elements inside a container, in document order.
+   * <img> inside <picture> is returned on its own; the picture's <source> candidates are read from it.
+   */
+  function getMediaElements(container) {
+    return Array.from(container.querySelectorAll('img, video, svg'))
+      .filter(m => !m.parentElement.closest('svg') && !isHiddenContent(m));
+  }
+
+  // Icons, spacers and tracking pixels: tiny or explicitly hidden from assistive tech
+  function isDecorativeMedia(el) {
+    if (el.getAttribute('aria-hidden') === 'true' || el.getAttribute('role') === 'presentation') return true;
+    const { width, height } = getMediaDimensions(el);
+    return width !== null && height !== null && width <= 32 && height <= 32;
+  }
+
+  function getMediaDimensions(el) {
+    const attr = name => {
+      const v = parseInt(el.getAttribute(name) || '', 10);
+      return Number.isFinite(v) && v > 0 ? v : null;
+    };
+    let width = el.naturalWidth || el.videoWidth || attr('width');
+    let height = el.naturalHeight || el.videoHeight || attr('height');
+    if (!width || !height) {
+      const rect = el.getBoundingClientRect();
+      width = width || Math.round(rect.width) || null;
+      height = height || Math.round(rect.height) || null;
+    }
+    return { width: width || null, height: height || null };
+  }
+
+  /**
+   * Build an image chunk for an <img>, <video> or inline <svg>.
+   * @returns {{media:string, src:string, alt:string, caption:string, width:(number|null), height:(number|null), poster?:string}|null}
+   */
+  function buildImageChunk(el, caption) {
+    const tag = el.tagName.toLowerCase();
+    const { width, height } = getMediaDimensions(el);
+    if (tag === 'img') {
+      const src = getImageSource(el);
+      if (!src) return null;
+      return { media: 'image', src, alt: cleanInline(el.getAttribute('alt') || el.getAttribute('title') || ''), caption, width, height };
+    }
+    if (tag === 'video') {
+      const sourceEl = el.querySelector('source[src]');
+      const src = resolveUrl(el.getAttribute('src') || (sourceEl && sourceEl.getAttribute('src')) || '');
+      const poster = resolveUrl(el.getAttribute('poster'));
+      if (!src && !poster) return null;
+      return { media: 'video', src, poster, alt: cleanInline(el.getAttribute('aria-label') || el.getAttribute('title') || ''), caption, width, height };
+    }
+    if (tag === 'svg') {
+      const titleEl = el.querySelector('title');
+      const alt = cleanInline(el.getAttribute('aria-label') || (titleEl && titleEl.textContent) || '');
+      // Unlabeled inline SVGs are only worth keeping as figures (diagrams, charts)
+      if (!alt && !caption) return null;
+      return { media: 'svg', src: '', alt, caption, width, height };
+    }
+    return null;
+  }
+
+  /**
+   * Best source URL for an image: the largest srcset candidate from a parent <picture> or the image itself,
+   * falling back to the current/plain src and common lazy-loading attributes.
+   */
+  function getImageSource(img) {
+    const srcsets = [];
+    const picture = img.parentElement && img.parentElement.tagName === 'PICTURE' ? img.parentElement : null;
+    if (picture) {
+      picture.querySelectorAll('source').forEach(source => srcsets.push(source.getAttribute('srcset') || source.getAttribute('data-srcset')));
+    }
+    srcsets.push(img.getAttribute('srcset'), img.getAttribute('data-srcset'));
+
+    let best = '';
+    let bestScore = -1;
+    for (const srcset of srcsets) {
+      for (const candidate of parseSrcset(srcset)) {
+        if (candidate.score > bestScore) { best = candidate.url; bestScore = candidate.score; }
+      }
+    }
+    if (!best) {
+      const src = img.getAttribute('src') || '';
+      const lazy = img.getAttribute('data-src') || img.getAttribute('data-lazy-src') || img.getAttribute('data-original') || '';
+      // Lazy-loading placeholders are usually tiny data: URIs
+      best = (!src || src.startsWith('data:')) && lazy ? lazy : (img.currentSrc || src);
+    }
+    if (!best || best.startsWith('data:')) return '';
+    return resolveUrl(best);
+  }
+
+  // Parse a srcset into candidates scored by width descriptor, or density (x1000) when only "x" is given
+  function parseSrcset(srcset) {
+    if (!srcset) return [];
+    return srcset.split(/,\s+/).map(part => {
+      const [url, descriptor = '1x'] = part.trim().split(/\s+/);
+      const value = parseFloat(descriptor) || 1;
+      const score = descriptor.endsWith('w') ? value : value * 1000;
+      return { url, score };
+    }).filter(c => c.url);
+  }
+
+  /**
+   * Child nodes as rendered: an open shadow root replaces the host's light children,
+   * <slot>s are replaced by their assigned nodes, and same-origin iframes yield their body.
+   * @param {Node} node
+   * @returns {Node[]}
+   */
+  function getComposedChildren(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return Array.from(node.childNodes || []);
+    const el = /** @type {Element} */(node);
+    if (el.shadowRoot) return Array.from(el.shadowRoot.childNodes);
+    if (el.tagName === 'SLOT' && typeof el.assignedNodes === 'function') {
+      const assigned = el.assignedNodes({ flatten: true });
+      if (assigned.length) return assigned;
+    }
+    if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+      const doc = getFrameDocument(el);
+      return doc && doc.body ? [doc.body] : [];
+    }
+    return Array.from(el.childNodes);
+  }
+
+  /**
+   * Depth-first, document-order walk over the composed element tree, starting with the root
+   * itself (which is always accepted, so a leaf root such as a single <p> still yields content).
+   * Rejected elements are skipped with their subtree; passing true to next() skips
+   * the children of the element that was just yielded.
+   * @param {Node} root
+   * @param {(el:Element) => boolean} accept
+   */
+  function* walkComposedElements(root, accept) {
+    function* visit(node, isRoot) {
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+      if (!isRoot && !accept(node)) return;
+      const skipChildren = yield node;
+      if (skipChildren) return;
+      for (const child of getComposedChildren(node)) yield* visit(child, false);
+    }
+    if (root.nodeType === Node.ELEMENT_NODE) {
+      yield* visit(root, true);
+    } else {
+      for (const child of getComposedChildren(root)) yield* visit(child, false);
+    }
+  }
+
+  // Document of a same-origin (or about:blank/srcdoc) frame; null when cross-origin
+  function getFrameDocument(frameEl) {
+    try {
+      return frameEl.contentDocument || null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Roots to query when searching the whole page: the document, every open shadow root
+   * and the documents of same-origin iframes (recursively).
+   * @returns {Array<Document|ShadowRoot>}
+   */
+  function getSearchRoots(doc = getPageDocument()) {
+    const roots = [];
+    const collect = (root) => {
+      roots.push(root);
+      for (const el of root.querySelectorAll('*')) {
+        if (el.shadowRoot) collect(el.shadowRoot);
+        if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+          const frameDoc = getFrameDocument(el);
+          if (frameDoc && frameDoc.documentElement) collect(frameDoc);
+        }
+      }
+    };
+    collect(doc);
+    return roots;
+  }
+
+  // Computed style from the element's own window (elements may live in an iframe)
+  function getStyle(el) {
+    const view = (el.ownerDocument && el.ownerDocument.defaultView) || window;
+    return view.getComputedStyle(el);
+  }
+
+  function hasBlockChildren(el) {
+    const blockTags = new Set(['P','DIV','SECTION','ARTICLE','UL','OL','TABLE','PRE','BLOCKQUOTE','H1','H2','H3','H4','H5','H6']);
+    for (const child of getComposedChildren(el)) {
+      if (child.nodeType !== Node.ELEMENT_NODE) continue;
+      if (blockTags.has(child.tagName) || child.tagName === 'IFRAME' || child.tagName === 'FRAME') return true;
+      // Shadow hosts and slots are transparent: look at what they render
+      if ((child.shadowRoot || child.tagName === 'SLOT') && hasBlockChildren(child)) return true;
+    }
+    return false;
+  }
+
+  // Highlighter chrome that is not part of the code: gutters, line numbers, copy buttons, prompts
+  const CODE_GUTTER_SELECTOR = '.linenos, .linenodiv, .gutter, .line-numbers-rows, .hljs-ln-numbers, .lineno, .line-number, .rouge-gutter, .code-line-numbers';
+  const CODE_ARTIFACT_SELECTOR = `${CODE_GUTTER_SELECTOR}, button, .copy, .copy-button, .copy-code-button, .clipboard, [class*="copy-btn"], [class*="copyButton"], .gp, .prompt, .hljs-prompt`;
+
+  /**
+   * Code text with original line breaks, minus highlighter chrome.
+   * Table-based highlighters (one row per line) are read row by row with gutter cells skipped.
+   */
+  function getCodeText(codeEl) {
+    const rows = codeEl.querySelectorAll('tr');
+    const text = rows.length
+      ? Array.from(rows).map(tr => collectCodeText(tr).replace(/\n$/, '')).join('\n')
+      : collectCodeText(codeEl);
+    // Keep original line breaks; avoid collapsing whitespace
+    return text.replace(/\s+$/g, '');
+  }
+
+  function collectCodeText(node) {
+    let out = '';
+    for (const child of getComposedChildren(node)) {
+      if (activeRange && !activeRange.intersectsNode(child)) continue;
+      if (child.nodeType === Node.TEXT_NODE) {
+        out += getClippedNodeText(child);
+        continue;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) continue;
+      if (child.tagName === 'BR') {
+        out += '\n';
+        continue;
+      }
+      if (child.matches(CODE_ARTIFACT_SELECTOR)) continue;
+      const style = getStyle(child);
+      if (style.display === 'none') continue;
+      out += collectCodeText(child);
+      // Highlighters that render one block element per line have no newline text between lines
+      if ((child.tagName === 'DIV' || style.display === 'block') && !out.endsWith('\n')) out += '\n';
+    }
+    return out;
+  }
+
+  // Strip "$ " / "user@host:~$ " prompts from shell sessions so commands can be pasted as-is
+  function stripShellPrompts(code, lang) {
+    const prompt = /^(\s*)(?:[\w.-]+@[\w.-]+(?::[^\s$#]*)?\s?)?\$ /;
+    const lines = code.split('\n');
+    const prompted = lines.filter(line => prompt.test(line)).length;
+    const shellLike = !lang || ['bash', 'shell', 'console', 'sh', 'zsh', 'powershell'].includes(lang);
+    if (!prompted || !shellLike) return code;
+    return lines.map(line => line.replace(prompt, '$1')).join('\n');
+  }
+
+  // Classes that name a highlighter rather than a language
+  const GENERIC_CODE_CLASSES = new Set(['highlight', 'highlighter-rouge', 'hljs', 'shiki', 'prism', 'code', 'codehilite',
+    'prettyprint', 'prettyprinted', 'notranslate', 'sourcecode', 'line-numbers', 'linenums', 'source', 'syntax', 'chroma',
+    'block', 'snippet', 'pre', 'wrap', 'nowrap', 'copy', 'default', 'github-dark', 'github-light', 'numbered', 'has-copy-button']);
+
+  const CODE_LANGUAGE_ALIASES = {
+    js: 'javascript', jsx: 'jsx', ts: 'typescript', tsx: 'tsx', py: 'python', py3: 'python', python3: 'python', rb: 'ruby',
+    sh: 'bash', shell: 'bash', zsh: 'bash', 'shell-session': 'console', shellsession: 'console', yml: 'yaml',
+    'c++': 'cpp', cxx: 'cpp', hpp: 'cpp', 'c#': 'csharp', cs: 'csharp', golang: 'go', rs: 'rust', kt: 'kotlin',
+    ps1: 'powershell', pwsh: 'powershell', md: 'markdown', htm: 'html', xhtml: 'html', dockerfile: 'dockerfile',
+    text: '', txt: '', plaintext: '', plain: '', none: '', nohighlight: '', 'no-highlight': '', output: ''
+  };
+
+  /**
+   * Detect the language of a code block.
+   * - data-lang / data-language attributes (Shiki, Hugo, many doc generators)
+   * - language-/lang- classes (Prism, highlight.js, GFM), highlight-source-* (GitHub),
+   *   highlight-* (Sphinx), "sourceCode xxx" (Pandoc), "brush: xxx" (SyntaxHighlighter)
+   * on the code element, its <pre> and up to three wrappers; then a content-based guess.
+   * @param {Element} codeEl
+   * @param {string} [codeText] used for content-based detection when nothing is declared
+   * @returns {string} language name ('' when unknown)
+   */
+  function detectCodeLanguage(codeEl, codeText = '') {
+    if (!codeEl || codeEl.nodeType !== Node.ELEMENT_NODE) return '';
+    const candidates = [];
+    for (let cur = codeEl, depth = 0; cur && cur.nodeType === Node.ELEMENT_NODE && depth < 5; cur = cur.parentElement, depth++) {
+      candidates.push(cur);
+      if (cur.tagName === 'BODY' || cur.tagName === 'ARTICLE' || cur.tagName === 'MAIN') break;
+    }
+    for (const el of candidates) {
+      const declared = el.getAttribute('data-lang') || el.getAttribute('data-language') || el.getAttribute('data-code-language');
+      if (declared) return normalizeCodeLanguage(declared);
+      const classAttr = (typeof el.className === 'string' ? el.className : el.getAttribute('class')) || '';
+      const match = classAttr.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/i) ||
+        classAttr.match(/(?:^|\s)highlight-source-([\w+#.-]+)/i) ||
+        classAttr.match(/(?:^|\s)highlight-(?!source\b)([\w+#.-]+)/i) ||
+        classAttr.match(/brush:\s*([\w+#.-]+)/i) ||
+        classAttr.match(/(?:^|\s)sourceCode\s+([\w+#.-]+)/i);
+      if (match) {
+        const lang = normalizeCodeLanguage(match[1]);
+        if (lang !== null) return lang;
+      }
+      // highlight.js marks the language as a bare class next to "hljs"
+      if (/(?:^|\s)hljs(?:\s|$)/.test(classAttr)) {
+        const bare = classAttr.split(/\s+/).find(c => c && !GENERIC_CODE_CLASSES.has(c.toLowerCase()) && !/^hljs/.test(c) && /^[a-z][\w+#-]*$/i.test(c));
+        if (bare) return normalizeCodeLanguage(bare) || '';
+      }
+    }
+    return guessCodeLanguage(codeText);
+  }
+
+  // Canonical fence name for a declared language; null for highlighter names that are not languages
+  function normalizeCodeLanguage(name) {
+    const lang = String(name).trim().toLowerCase();
+    if (!lang || GENERIC_CODE_CLASSES.has(lang)) return null;
+    return Object.prototype.hasOwnProperty.call(CODE_LANGUAGE_ALIASES, lang) ? CODE_LANGUAGE_ALIASES[lang] : lang;
+  }
+
+  // Content signals per language; the best-scoring language wins if it scores at least 2
+  const CODE_LANGUAGE_SIGNALS = {
+    python: [/^\s*def \w+\(.*\)\s*(->.*)?:\s*$/m, /^\s*(from [\w.]+ )?import [\w., ]+$/m, /^\s*class \w+(\(.*\))?:\s*$/m, /\bself\.\w+/, /\bprint\(/, /^\s*elif\b/m, /\bNone\b|\bTrue\b|\bFalse\b/],
+    javascript: [/\b(const|let|var) \w+\s*=/, /=>\s*[{(]?/, /\bfunction\s*\w*\s*\(/, /\bconsole\.log\(/, /\brequire\(['"]/, /^\s*import .+ from ['"]/m, /\bdocument\.|\bwindow\./, /\bawait\b/],
+    typescript: [/^\s*(export )?interface \w+/m, /:\s*(string|number|boolean|void|any)\b/, /^\s*(export )?type \w+\s*=/m, /\bas const\b/],
+    java: [/\bpublic (static )?(final )?(class|void|interface)\b/, /System\.out\.print/, /^\s*package [\w.]+;\s*$/m, /@Override/],
+    csharp: [/^\s*using System[\w.]*;/m, /Console\.Write/, /^\s*namespace [\w.]+/m, /\bpublic async Task\b/],
+    go: [/^\s*package \w+\s*$/m, /\bfunc (\(\w+ \*?\w+\) )?\w+\(/, /\bfmt\.\w+\(/, /:=/, /\berr != nil\b/],
+    rust: [/\bfn \w+\(/, /\blet mut\b/, /\bprintln!\(/, /^\s*use \w+::/m, /\bimpl\b.*\{/, /->\s*Result</],
+    cpp: [/#include\s*[<"]/, /\bstd::/, /\bcout\s*<</, /\bint main\s*\(/, /\bprintf\(/],
+    ruby: [/^\s*def \w+[^:(]*$/m, /^\s*end\s*$/m, /\bputs\b/, /^\s*require ['"]/m, /\bdo \|\w+\|/],
+    php: [/<\?php/, /\$\w+\s*=/, /\becho\b/, /->\w+\(/, /\bfunction \w+\(\$/],
+    sql: [/\bSELECT\b[\s\S]+\bFROM\b/i, /\bINSERT INTO\b/i, /\bCREATE TABLE\b/i, /\bUPDATE \w+ SET\b/i, /\bWHERE\b/i],
+    bash: [/^#!.*\b(ba|z)?sh\b/m, /^\s*\$ /m, /^\s*(sudo |apt(-get)? |brew |npm |npx |yarn |pnpm |pip3? |git |cd |export |echo |curl |docker |kubectl |mkdir |chmod )/m, /\|\s*(grep|awk|sed|xargs)\b/],
+    html: [/<!DOCTYPE html>/i, /<(html|head|body|div|span|script|a href)\b/i, /<\/\w+>/],
+    css: [/^\s*[.#]?[\w-]+(\s*[,>+~]\s*[.#]?[\w-]+)*\s*\{/m, /^\s*[\w-]+\s*:\s*[^;{}]+;\s*$/m, /@media\b/],
+    yaml: [/^\s*[\w-]+:\s+\S/m, /^\s*- [\w-]+:\s/m, /^---\s*$/m],
+    dockerfile: [/^FROM \S+/m, /^(RUN|COPY|WORKDIR|ENTRYPOINT|CMD|EXPOSE) /m],
+    diff: [/^@@ .* @@/m, /^\+\+\+ /m, /^--- /m]
+  };
+
+  /**
+   * Lightweight content-based language guess for unlabeled code blocks.
+   * @param {string} code
+   * @returns {string} language name, or '' when no language is a clear match
+   */
+  function guessCodeLanguage(code) {
+    const text = (code || '').trim();
+    if (text.length < 8) return '';
+    if (/^[[{]/.test(text)) {
+      try {
+        JSON.parse(text);
+        return 'json';
+      } catch (_) {
+        // not JSON; fall through to the signal scoring
+      }
+    }
+    if (/^<\?xml\b/.test(text)) return 'xml';
+
+    let best = '';
+    let bestScore = 1;
+    for (const [lang, signals] of Object.entries(CODE_LANGUAGE_SIGNALS)) {
+      const score = signals.reduce((n, re) => n + (re.test(text) ? 1 : 0), 0);
+      if (score > bestScore) {
+        best = lang;
+        bestScore = score;
+      }
+    }
+    // TypeScript and JSX are supersets; prefer them only on their own signals
+    if (best === 'javascript' && CODE_LANGUAGE_SIGNALS.typescript.some(re => re.test(text))) return 'typescript';
+    return best;
+  }
+
+  // Filename/caption bars rendered next to code blocks by doc generators
+  const CODE_TITLE_CLASS = /(?:^|[\s_-])(code-?block-?(title|caption|header)|code-?title|code-?header|codeBlockTitle|filename|file-?name|highlight-title|remark-code-title|rehype-code-title|code-caption|caption-text)/i;
+
+  function isCodeTitleElement(el) {
+    const className = typeof el.className === 'string' ? el.className : '';
+    if (!CODE_TITLE_CLASS.test(className)) return false;
+    if ((el.textContent || '').trim().length > 120) return false;
+    // Must sit right before (or inside the same wrapper as) a code block
+    const next = el.nextElementSibling;
+    return !!(next && (next.tagName === 'PRE' || next.querySelector('pre'))) ||
+      !!(el.parentElement && el.parentElement.querySelector(':scope > pre, :scope > div pre') && !el.querySelector('pre'));
+  }
+
+  /**
+   * Filename or caption of a code block, from data-/title attributes or a title bar
+   * preceding the <pre> (or one of its wrappers).
+   * @param {Element} preEl
+   * @returns {string}
+   */
+  function findCodeTitle(preEl) {
+    const codeEl = preEl.querySelector('code');
+    for (const el of [codeEl, preEl].filter(Boolean)) {
+      const attr = el.getAttribute('data-filename') || el.getAttribute('data-title') || el.getAttribute('data-file');
+      if (attr) return attr.trim();
+    }
+    for (let cur = preEl, depth = 0; cur && depth < 3; cur = cur.parentElement, depth++) {
+      const fromAttr = cur !== preEl && (cur.getAttribute('data-filename') || cur.getAttribute('data-title'));
+      if (fromAttr) return fromAttr.trim();
+      for (let sib = cur.previousElementSibling; sib; sib = sib.previousElementSibling) {
+        if (isCodeTitleElement(sib)) return cleanInline(sib.textContent || '').replace(/\n+/g, ' ');
+        if (sib.tagName === 'PRE' || !CODE_TITLE_CLASS.test(typeof sib.className === 'string' ? sib.className : '')) break;
+      }
+      const inner = cur.parentElement && Array.from(cur.parentElement.children).find(c => c !== cur && c.compareDocumentPosition(cur) & Node.DOCUMENT_POSITION_FOLLOWING && isCodeTitleElement(c));
+      if (inner) return cleanInline(inner.textContent || '').replace(/\n+/g, ' ');
+    }
+    return '';
+  }
+
+  // Fence longer than any backtick run inside the code (at least three)
+  function codeFence(code) {
+    const longest = (code.match(/`{3,}/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+    return '`'.repeat(Math.max(3, longest + 1));
+  }
+
+  // Containers of footnote/endnote/reference lists (Pandoc, Jekyll/kramdown, markdown-it, Wikipedia, Sphinx, DPUB-ARIA)
+  const FOOTNOTE_SECTION_SELECTOR = '[role="doc-endnotes"], section.footnotes, div.footnotes, .footnote-list, ol.references, .mw-references-wrap, .reflist';
+  // Individual notes, for sections that hold notes nobody cited
+  const FOOTNOTE_ITEM_SELECTOR = 'li[id], [role="doc-endnote"], [role="doc-footnote"], aside.footnote[id], div.footnote[id]';
+  // Back-references ("↩", "^ a b") and label spans inside a note
+  const FOOTNOTE_BACKLINK_SELECTOR = 'a[role="doc-backlink"], .mw-cite-backlink, a.footnote-backref, a.reversefootnote, a.footnote-back, a.fn-backref, ' +
+    'a[href^="#fnref"], a[href^="#cite_ref"], .footnote > .label, .footnote > .fn-bracket, .footnote > .backrefs';
+
+  function createReferenceState(options) {
+    return { notes: new Map(), labels: new Set(), links: options.referenceLinks ? new Map() : null };
+  }
+
+  /**
+   * Markdown footnote marker ("[^1]") for an in-text footnote anchor, registering its note.
+   * Recognizes role="doc-noteref", footnote-ref classes and fragment links inside <sup> that
+   * point at a note (list item, aside, or anything inside a footnote section).
+   * @param {Element} a
+   * @returns {string} the marker, or '' when the anchor is not a resolvable footnote reference
+   */
+  function getFootnoteMarker(a) {
+    if (!references) return '';
+    const href = a.getAttribute('href') || '';
+    if (href.length < 2 || href[0] !== '#') return '';
+    const declared = a.getAttribute('role') === 'doc-noteref' || /(?:^|\s)footnote-?ref(?:erence)?(?:\s|$)/i.test(a.getAttribute('class') || '');
+    if (!declared && !(a.closest('sup') || a.querySelector('sup'))) return '';
+
+    let id = href.slice(1);
+    try {
+      id = decodeURIComponent(id);
+    } catch (_) {
+      // keep the raw fragment
+    }
+    const root = a.getRootNode();
+    let target = (root && root.getElementById ? root.getElementById(id) : null) || getPageDocument().getElementById(id) || getPageDocument().getElementsByName(id)[0];
+    if (!target || target.contains(a) || /^H[1-6]$/.test(target.tagName)) return '';
+    // Named anchors / empty spans mark where the note starts; the note is their block
+    if (!(target.textContent || '').trim()) target = target.parentElement && target.parentElement.closest('li, dd, p, aside, div');
+    if (!target) return '';
+    const isNote = declared || target.matches('li, dd, aside, [role="doc-endnote"], [role="doc-footnote"]') ||
+      !!target.closest(FOOTNOTE_SECTION_SELECTOR) || /(?:fn|note|cite|ref)/i.test(target.id || '');
+    if (!isNote) return '';
+
+    let note = references.notes.get(target);
+    if (!note) {
+      const marker = cleanInline(a.textContent || '').replace(/^\[|\]$/g, '').replace(/\s+/g, '');
+      note = { label: /^[\w-]{1,12}$/.test(marker) && !references.labels.has(marker) ? marker : nextFootnoteLabel(), el: target };
+      references.labels.add(note.label);
+      references.notes.set(target, note);
+    }
+    return `[^${note.label}]`;
+  }
+
+  function nextFootnoteLabel() {
+    let n = references.notes.size + 1;
+    while (references.labels.has(String(n))) n++;
+    return String(n);
+  }
+
+  /**
+   * Whether a footnote section can be dropped from the body because its notes are emitted as
+   * footnote definitions: true once any of its notes was cited. Uncited notes in it are
+   * registered too so that none of the section's content is lost.
+   */
+  function claimFootnoteSection(section) {
+    const cited = Array.from(references.notes.keys()).some(note => section.contains(note));
+    if (!cited) return false;
+    section.querySelectorAll(FOOTNOTE_ITEM_SELECTOR).forEach(item => {
+      if (references.notes.has(item) || Array.from(references.notes.keys()).some(note => note.contains(item) || item.contains(note))) return;
+      const label = nextFootnoteLabel();
+      references.labels.add(label);
+      references.notes.set(item, { label, el: item });
+    });
+    return true;
+  }
+
+  // Number of a link URL in the reference-style link definitions (same URL, same number)
+  function getLinkLabel(url) {
+    let label = references.links.get(url);
+    if (!label) {
+      label = String(references.links.size + 1);
+      references.links.set(url, label);
+    }
+    return label;
+  }
+
+  /**
+   * Footnote and link-definition chunks for the end of the document.
+   * Notes are serialized after the walk (outside any selection range); markers inside notes
+   * register further notes, which the Map iteration then also visits.
+   * @returns {Array<Object>}
+   */
+  function collectReferenceChunks() {
+    const chunks = [];
+    const items = [];
+    for (const note of references.notes.values()) {
+      const skip = new Set(note.el.querySelectorAll(FOOTNOTE_BACKLINK_SELECTOR));
+      const text = serializeInline(note.el, skip).replace(/^[\s^↑↩]+|[\s↑↩]+$/g, '');
+      items.push({ label: note.label, text });
+    }
+    if (items.length) chunks.push({ type: 'footnotes', items });
+    if (references.links && references.links.size) {
+      chunks.push({ type: 'links', items: Array.from(references.links, ([url, label]) => ({ label, url })) });
+    }
+    return chunks;
+  }
+
+  // Reader comments: comment items and the sections that hold them (WordPress, schema.org
+  // Comment, role=article lists, Hacker News, Disqus' embed frame)
+  const COMMENT_ITEM_SELECTOR = 'li.comment, article.comment, .comment-list > li, .commentlist > li, [itemtype$="schema.org/Comment"], ' +
+    'tr.athing.comtr, #posts li.post, #comments [role="article"], .comments [role="article"], [role="article"][aria-label*="comment" i]';
+  const COMMENT_SECTION_SELECTOR = '#comments, #disqus_thread, .comments-area, .comment-list, .commentlist, table.comment-tree';
+  // Byline and body candidates of a comment item, most specific first
+  const COMMENT_AUTHOR_SELECTORS = ['.comment-author .fn', '[itemprop="author"] [itemprop="name"]', '[itemprop="author"]', '.hnuser',
+    '.post-byline .author', '.comment-author', '.author', '[rel="author"]', '.username', '.user-name', '[class*="author" i]', '[class*="username" i]'];
+  const COMMENT_DATE_SELECTORS = ['time[datetime]', '[itemprop="dateCreated"]', '[itemprop="datePublished"]', '.age[title]', 'a.time-ago[title]',
+    '.comment-date', '.comment-metadata a', '[class*="date" i]'];
+  const COMMENT_BODY_SELECTORS = ['.comment-content', '.comment-text', '.commtext', '[itemprop="text"]', '.post-message', '.comment-body',
+    '[class*="comment-content" i]', '[class*="comment-body" i]', '[class*="comment-message" i]'];
+
+  /**
+   * Comment sections of the page and their visible comment items, in document order.
+   * Sections that hold the main content itself (comment pages) are left to the article.
+   * @param {Element[]} roots the roots being extracted as the article
+   * @returns {{sections:Element[], items:Element[], frames:string[]}} frames: src of cross-origin comment frames (Disqus)
+   */
+  function findCommentSections(roots) {
+    const doc = getPageDocument();
+    const items = Array.from(doc.querySelectorAll(COMMENT_ITEM_SELECTOR)).filter(el => !isHidden(el));
+    const candidates = [...doc.querySelectorAll(COMMENT_SECTION_SELECTOR), ...items.map(el => el.parentElement)]
+      .filter(el => el && el !== doc.body && !roots.some(root => el.contains(root)));
+    const sections = candidates.filter((el, i) => candidates.indexOf(el) === i && !candidates.some(other => other !== el && other.contains(el)));
+    const frames = sections.flatMap(section => Array.from(section.querySelectorAll('iframe')))
+      .filter(frame => !getFrameDocument(frame))
+      .map(frame => resolveUrl(frame.getAttribute('src')))
+      .filter(Boolean);
+    return { sections, items: items.filter(item => sections.some(section => section.contains(item))), frames };
+  }
+
+  /**
+   * A "comments" chunk for the end of the document: author, date, nesting depth and body
+   * chunks of up to `max` comments, all without it (total keeps the full count). The runner passes
+   * options.maxComments, defaulting to DEFAULT_MAX_COMMENTS (extraction-runner.js).
+   * @param {Element[]} items comment items in document order
+   * @param {number} [max]
+   * @returns {?{type:'comments', items:Array<{author:string, date:string, depth:number, chunks:Array}>, total:number}}
+   */
+  function buildCommentsChunk(items, max) {
+    if (!items.length) return null;
+    const isItem = new Set(items);
+    const comments = items.slice(0, max).map(item => {
+      // The item's own elements (not those of nested replies), by the first selector that matches
+      const own = (selectors) => {
+        for (const selector of selectors) {
+          const el = Array.from(item.querySelectorAll(selector)).find(e => e.closest(COMMENT_ITEM_SELECTOR) === item);
+          if (el) return el;
+        }
+        return null;
+      };
+      const authorEl = own(COMMENT_AUTHOR_SELECTORS);
+      const dateEl = own(COMMENT_DATE_SELECTORS);
+      const body = own(COMMENT_BODY_SELECTORS) || item;
+      const indent = item.querySelector('td.ind[indent]');
+      let depth = indent ? parseInt(indent.getAttribute('indent'), 10) || 0 : 0;
+      if (!indent) {
+        for (let cur = item.parentElement; cur; cur = cur.parentElement) if (isItem.has(cur)) depth++;
+      }
+
+      // Nested replies, the byline and reply links are not part of the body
+      const skip = [...item.querySelectorAll(`${COMMENT_ITEM_SELECTOR}, .reply, .comment-reply-link`), authorEl, dateEl]
+        .filter(el => el && el !== body && !el.contains(body));
+      const saved = excludedElements;
+      excludedElements = new Set([...(saved || []), ...skip]);
+      let chunks;
+      try {
+        chunks = chunkDomToSemanticBlocks(body);
+      } finally {
+        excludedElements = saved;
+      }
+      return { author: authorEl ? cleanInline(authorEl.textContent || '') : '', date: getCommentDate(dateEl), depth, chunks };
+    }).filter(comment => comment.chunks.length);
+    return comments.length ? { type: 'comments', items: comments, total: items.length } : null;
+  }
+
+  // Disqus serves its comment thread in a frame of its own
+  function isCommentFrame() {
+    return /(^|\.)disqus\.com$/i.test(location.hostname);
+  }
+
+  function getCommentDate(el) {
+    if (!el) return '';
+    const value = el.getAttribute('datetime') || el.getAttribute('content') || el.getAttribute('title') || el.textContent || '';
+    // Hacker News: title="2024-05-01T14:03:27 1714572207"
+    return normalizeDate(cleanInline(value).replace(/^(\d{4}-\d\d-\d\dT[\d:]+) \d+$/, '$1'));
+  }
+
+  /**
+   * Serialize an element's inline content to Markdown.
+   * - Links become [text](absolute-url), resolved against location.href
+   * - strong/b, em/i, del/s and code/samp map to their Markdown markers
+   * - sub, sup and kbd are kept as inline HTML (Markdown has no syntax for them)
+   * - Literal text is escaped so it cannot be misread as Markdown
+   * Block-level descendants are separated by line breaks, mirroring innerText.
+   * @param {Element} el
+   * @param {Set<Element>} [skip] descendants to leave out (e.g. nested lists rendered separately)
+   * @returns {string} cleaned inline Markdown
+   */
+  function serializeInline(el, skip = null) {
+    const text = serializeInlineChildren(el, skip);
+    return escapeLineStarts(cleanInline(text));
+  }
+
+  function serializeInlineChildren(el, skip) {
+    let out = '';
+    for (const child of getComposedChildren(el)) {
+      out += serializeInlineNode(child, skip);
+    }
+    return out;
+  }
+
+  function serializeInlineNode(node, skip) {
+    if (activeRange && !activeRange.intersectsNode(node)) return '';
+    if (node.nodeType === Node.TEXT_NODE) {
+      return escapeMarkdown(getClippedNodeText(node).replace(/[ \t\n\r\f]+/g, ' '));
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const el = /** @type {HTMLElement} */(node);
+    if (skip && skip.has(el)) return '';
+    if (excludedElements && excludedElements.has(el)) return '';
+    const tag = el.tagName.toLowerCase();
+    if (tag === 'br') return '\n';
+    const math = getMathSource(el);
+    if (math) return formatInlineMath(math);
+    if (isMathRendering(el)) return '';
+    if (['script', 'style', 'noscript', 'template', 'button', 'svg', 'iframe', 'frame'].includes(tag)) return '';
+    const style = getStyle(el);
+    if (style.display === 'none' || style.visibility === 'hidden') return '';
+
+    switch (tag) {
+      case 'a': {
+        const footnote = getFootnoteMarker(el);
+        if (footnote) return footnote;
+        const inner = serializeInlineChildren(el, skip);
+        const href = resolveUrl(el.getAttribute('href'));
+        if (!inner.trim()) return '';
+        if (!href) return inner;
+        if (references && references.links) return wrapInline(inner, '[', `][${getLinkLabel(href)}]`);
+        return wrapInline(inner, '[', `](${href})`);
+      }
+      case 'strong':
+      case 'b':
+        return wrapInline(serializeInlineChildren(el, skip), '**', '**');
+      case 'em':
+      case 'i':
+        return wrapInline(serializeInlineChildren(el, skip), '*', '*');
+      case 'del':
+      case 's':
+      case 'strike':
+        return wrapInline(serializeInlineChildren(el, skip), '~~', '~~');
+      case 'code':
+      case 'samp':
+      case 'tt':
+        return codeSpan(el.textContent || '');
+      case 'img': {
+        const src = getImageSource(el);
+        if (!src || isDecorativeMedia(el)) return '';
+        return `![${escapeMarkdown(cleanInline(el.getAttribute('alt') || ''))}](${src})`;
+      }
+      case 'sup': {
+        // <sup><a href="#cite_note-1">[1]</a></sup>: the whole superscript is the footnote marker
+        const anchors = el.querySelectorAll('a');
+        if (anchors.length === 1 && cleanInline(el.textContent || '') === cleanInline(anchors[0].textContent || '')) {
+          const footnote = getFootnoteMarker(anchors[0]);
+          if (footnote) return footnote;
+        }
+        return wrapInline(serializeInlineChildren(el, skip), '<sup>', '</sup>');
+      }
+      case 'kbd':
+      case 'sub':
+        return wrapInline(serializeInlineChildren(el, skip), `<${tag}>`, `</${tag}>`);
+      default:
+        break;
+    }
+
+    const inner = serializeInlineChildren(el, skip);
+    if (tag === 'p') return `\n\n${inner}\n\n`;
+    if (INLINE_BREAK_DISPLAYS.has(style.display) || BLOCK_TAGS.has(el.tagName)) return `\n${inner}\n`;
+    return inner;
+  }
+
+  const INLINE_BREAK_DISPLAYS = new Set(['block', 'flex', 'grid', 'list-item', 'table', 'table-row']);
+  const BLOCK_TAGS = new Set(['DIV','SECTION','ARTICLE','UL','OL','LI','TABLE','TR','PRE','BLOCKQUOTE','H1','H2','H3','H4','H5','H6','DL','DT','DD','FIGURE','FIGCAPTION']);
+
+  /**
+   * TeX source of a math element, or null when the element is not a math root.
+   * Recognizes data-tex/data-latex attributes, KaTeX (x-tex annotation), MathJax v2 source
+   * scripts, MathJax v3 containers (via their assistive MathML) and raw <math> MathML.
+   * @param {Element} el
+   * @returns {{tex:string, display:boolean}|null}
+   */
+  function getMathSource(el) {
+    const tag = el.tagName.toLowerCase();
+    const classList = el.classList || { contains: () => false };
+
+    const dataTex = el.getAttribute('data-tex') || el.getAttribute('data-latex');
+    if (dataTex && !classList.contains('katex')) {
+      return { tex: dataTex.trim(), display: el.getAttribute('display') === 'block' || el.getAttribute('data-display') === 'true' || tag === 'div' };
+    }
+    if (classList.contains('katex')) {
+      const annotation = el.querySelector('annotation[encoding="application/x-tex"]');
+      const math = el.querySelector('math');
+      const tex = annotation ? annotation.textContent : (math ? mathmlToTex(math) : '');
+      return { tex: (tex || '').trim(), display: !!el.closest('.katex-display') };
+    }
+    if (isMathScript(el)) {
+      const type = el.getAttribute('type') || '';
+      const source = el.textContent || '';
+      let tex = source;
+      if (/^math\/mml/i.test(type)) {
+        const doc = new DOMParser().parseFromString(source, 'text/html');
+        const math = doc.querySelector('math');
+        tex = math ? mathmlToTex(math) : '';
+      }
+      return { tex: tex.trim(), display: /mode\s*=\s*display/i.test(type) };
+    }
+    if (tag === 'mjx-container') {
+      const math = el.querySelector('mjx-assistive-mml math, math');
+      const display = el.getAttribute('display') === 'true' || el.getAttribute('display') === 'block';
+      return { tex: math ? mathmlToTex(math).trim() : '', display };
+    }
+    if (tag === 'math') {
+      return { tex: mathmlToTex(el).trim(), display: el.getAttribute('display') === 'block' };
+    }
+    return null;
+  }
+
+  function isMathScript(el) {
+    return el.tagName.toLowerCase() === 'script' && /^math\/(tex|mml)/i.test(el.getAttribute('type') || '');
+  }
+
+  // MathJax v2 output and previews; the TeX is taken from the sibling source script instead
+  function isMathRendering(el) {
+    if (el.tagName.toLowerCase() === 'mjx-container') return false;
+    const className = typeof el.className === 'string' ? el.className : '';
+    return /(?:^|\s)MathJax(?:_\w+)?(?:\s|$)/.test(className) && !/(?:^|\s)MathJax_Display(?:\s|$)/.test(className)
+      || /(?:^|\s)MathJax_Preview(?:\s|$)/.test(className);
+  }
+
+  function getMathElements(container) {
+    return Array.from(container.querySelectorAll('.katex, script[type^="math/"], mjx-container, math, [data-tex], [data-latex]'))
+      .filter(m => !m.parentElement.closest('.katex, mjx-container, math'));
+  }
+
+  // A block (e.g. <div class="katex-display"> or <p> holding a single $$ formula) whose only content is display math
+  function isDisplayMathBlock(el) {
+    const className = typeof el.className === 'string' ? el.className : '';
+    const wrapper = /(?:^|\s)(katex-display|MathJax_Display|math-display|display-math)(?:\s|$)/.test(className);
+    if (!wrapper && !['p', 'div'].includes(el.tagName.toLowerCase())) return false;
+    const mathEls = getMathElements(el);
+    if (mathEls.length !== 1) return false;
+    const source = getMathSource(mathEls[0]);
+    if (!source || (!wrapper && !source.display)) return false;
+    // No text outside the formula (MathJax v2 renderings are text too, so compare against all math text)
+    const rest = Array.from(el.querySelectorAll('*')).filter(n => n.closest('.katex, mjx-container, math, script') || isMathRendering(n));
+    let text = el.textContent || '';
+    for (const n of rest) text = text.replace(n.textContent || '', '');
+    return !text.trim();
+  }
+
+  function formatInlineMath(math) {
+    if (!math.tex) return '';
+    const tex = math.tex.replace(/\s+/g, ' ');
+    return math.display ? `\n$$${tex}$$\n` : `$${tex}$`;
+  }
+
+  const MATHML_SYMBOLS = {
+    'α': '\\alpha', 'β': '\\beta', 'γ': '\\gamma', 'δ': '\\delta', 'ε': '\\epsilon', 'ϵ': '\\epsilon', 'ζ': '\\zeta',
+    'η': '\\eta', 'θ': '\\theta', 'ι': '\\iota', 'κ': '\\kappa', 'λ': '\\lambda', 'μ': '\\mu', 'ν': '\\nu', 'ξ': '\\xi',
+    'π': '\\pi', 'ρ': '\\rho', 'σ': '\\sigma', 'τ': '\\tau', 'υ': '\\upsilon', 'φ': '\\phi', 'ϕ': '\\phi', 'χ': '\\chi',
+    'ψ': '\\psi', 'ω': '\\omega', 'Γ': '\\Gamma', 'Δ': '\\Delta', 'Θ': '\\Theta', 'Λ': '\\Lambda', 'Ξ': '\\Xi',
+    'Π': '\\Pi', 'Σ': '\\Sigma', 'Φ': '\\Phi', 'Ψ': '\\Psi', 'Ω': '\\Omega',
+    '∑': '\\sum', '∏': '\\prod', '∫': '\\int', '∮': '\\oint', '∞': '\\infty', '∂': '\\partial', '∇': '\\nabla',
+    '≤': '\\leq', '≥': '\\geq', '≠': '\\neq', '≈': '\\approx', '≡': '\\equiv', '∼': '\\sim', '∝': '\\propto',
+    '×': '\\times', '·': '\\cdot', '⋅': '\\cdot', '÷': '\\div', '±': '\\pm', '∓': '\\mp', '∘': '\\circ',
+    '∈': '\\in', '∉': '\\notin', '⊂': '\\subset', '⊆': '\\subseteq', '⊃': '\\supset', '⊇': '\\supseteq',
+    '∪': '\\cup', '∩': '\\cap', '∅': '\\emptyset', '∀': '\\forall', '∃': '\\exists', '¬': '\\neg',
+    '∧': '\\wedge', '∨': '\\vee', '→': '\\to', '←': '\\leftarrow', '↔': '\\leftrightarrow', '⇒': '\\Rightarrow',
+    '⇐': '\\Leftarrow', '⇔': '\\Leftrightarrow', '↦': '\\mapsto', '…': '\\ldots', '⋯': '\\cdots', '⋮': '\\vdots',
+    '′': "'", '−': '-', '∗': '*', '⟨': '\\langle', '⟩': '\\rangle', '‖': '\\|', '⌊': '\\lfloor', '⌋': '\\rfloor',
+    '⌈': '\\lceil', '⌉': '\\rceil', 'ℝ': '\\mathbb{R}', 'ℕ': '\\mathbb{N}', 'ℤ': '\\mathbb{Z}', 'ℚ': '\\mathbb{Q}', 'ℂ': '\\mathbb{C}',
+    '{': '\\{', '}': '\\}', '\u2061': '', '\u2062': '', '\u2063': ''
+  };
+
+  const MATHML_ACCENTS = { '^': '\\hat', 'ˆ': '\\hat', '¯': '\\overline', '‾': '\\overline', '→': '\\vec', '~': '\\tilde', '˜': '\\tilde', '˙': '\\dot', '¨': '\\ddot' };
+
+  /**
+   * Convert MathML to TeX (presentation elements commonly produced by MathJax and Wikipedia).
+   * A TeX annotation inside <semantics> is preferred when present.
+   * @param {Element} node
+   * @returns {string}
+   */
+  function mathmlToTex(node) {
+    const annotation = node.querySelector && node.querySelector('annotation[encoding="application/x-tex"]');
+    if (annotation && node.tagName.toLowerCase() === 'math') return annotation.textContent || '';
+    return convertMathml(node).replace(/\s+/g, ' ').trim();
+  }
+
+  function convertMathml(node) {
+    if (node.nodeType === Node.TEXT_NODE) return mapMathText(node.nodeValue || '');
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+    const tag = node.tagName.toLowerCase();
+    const kids = Array.from(node.children);
+    const arg = (i) => groupTex(kids[i] ? convertMathml(kids[i]) : '');
+    const all = () => kids.map(convertMathml).join(' ');
+
+    switch (tag) {
+      case 'annotation':
+      case 'annotation-xml':
+      case 'mphantom':
+        return '';
+      case 'semantics':
+        return kids.length ? convertMathml(kids[0]) : '';
+      case 'mi': {
+        const text = (node.textContent || '').trim();
+        if (text.length > 1 && !MATHML_SYMBOLS[text]) return `\\mathrm{${text}}`;
+        return mapMathText(text);
+      }
+      case 'mn':
+      case 'mo':
+        return mapMathText((node.textContent || '').trim());
+      case 'mtext':
+        return (node.textContent || '').trim() ? `\\text{${(node.textContent || '').trim()}}` : '';
+      case 'mspace':
+        return '\\ ';
+      case 'msup':
+        return `${arg(0)}^${arg(1)}`;
+      case 'msub':
+        return `${arg(0)}_${arg(1)}`;
+      case 'msubsup':
+      case 'munderover':
+        return `${arg(0)}_${arg(1)}^${arg(2)}`;
+      case 'mfrac':
+        return `\\frac{${kids[0] ? convertMathml(kids[0]) : ''}}{${kids[1] ? convertMathml(kids[1]) : ''}}`;
+      case 'msqrt':
+        return `\\sqrt{${all()}}`;
+      case 'mroot':
+        return `\\sqrt[${kids[1] ? convertMathml(kids[1]) : ''}]{${kids[0] ? convertMathml(kids[0]) : ''}}`;
+      case 'mover': {
+        const accent = MATHML_ACCENTS[(kids[1] && kids[1].textContent || '').trim()];
+        if (accent) return `${accent}{${kids[0] ? convertMathml(kids[0]) : ''}}`;
+        return `\\overset{${kids[1] ? convertMathml(kids[1]) : ''}}{${kids[0] ? convertMathml(kids[0]) : ''}}`;
+      }
+      case 'munder': {
+        const base = kids[0] ? convertMathml(kids[0]) : '';
+        // Large operators take limits as subscripts (\sum_{i=1})
+        if (/^\\(sum|prod|lim|max|min|int|bigcup|bigcap)/.test(base) || base === '\\mathrm{lim}') return `${base}_${arg(1)}`;
+        return `\\underset{${kids[1] ? convertMathml(kids[1]) : ''}}{${base}}`;
+      }
+      case 'mfenced': {
+        const open = node.getAttribute('open') ?? '(';
+        const close = node.getAttribute('close') ?? ')';
+        const sep = node.getAttribute('separators') ?? ',';
+        return `\\left${open || '.'} ${kids.map(convertMathml).join(sep ? ` ${sep.trim()[0]} ` : ' ')} \\right${close || '.'}`;
+      }
+      case 'mtable': {
+        const rows = kids.filter(k => /^m(labeled)?tr$/i.test(k.tagName))
+          .map(tr => Array.from(tr.children).map(convertMathml).join(' & '));
+        return `\\begin{matrix} ${rows.join(' \\\\ ')} \\end{matrix}`;
+      }
+      default:
+        return all();
+    }
+  }
+
+  function mapMathText(text) {
+    return Array.from(text).map(ch => {
+      const mapped = MATHML_SYMBOLS[ch];
+      return mapped === undefined ? ch : (mapped.startsWith('\\') && /[a-z]$/i.test(mapped) ? `${mapped} ` : mapped);
+    }).join('');
   }
 
-  function hasBlockChildren(el) {
-    const blockTags = new Set(['P','DIV','SECTION','ARTICLE','UL','OL','TABLE','PRE','BLOCKQUOTE','H1','H2','H3','H4','H5','H6']);
-    for (const child of el.children) {
-      if (blockTags.has(child.tagName)) return true;
-    }
-    return false;
+  // Brace a TeX fragment for use as a script/argument unless it is a single token
+  function groupTex(tex) {
+    const t = tex.trim();
+    return /^[A-Za-z0-9]$/.test(t) || /^\\[A-Za-z]+$/.test(t) ? t : `{${t}}`;
   }
 
-  function getCodeText(codeEl) {
-    // Keep original line breaks; avoid collapsing whitespace
-    return (codeEl.textContent || '').replace(/\s+$/g, '');
+  /**
+   * Wrap inline Markdown with markers, keeping surrounding whitespace outside the markers
+   * so "<b> bold </b>" becomes " **bold** " rather than the invalid "** bold **".
+   */
+  function wrapInline(inner, open, close) {
+    const m = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!m[2]) return inner;
+    return `${m[1]}${open}${m[2]}${close}${m[3]}`;
+  }
+
+  function codeSpan(text) {
+    const t = text.replace(/\s+/g, ' ');
+    if (!t.trim()) return '';
+    // Use a fence longer than any backtick run inside the code
+    const longest = (t.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+    const fence = '`'.repeat(longest + 1);
+    const pad = t.startsWith('`') || t.endsWith('`') ? ' ' : '';
+    return `${fence}${pad}${t}${pad}${fence}`;
+  }
+
+  function escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]<>])/g, '\\$1');
+  }
+
+  // Escape characters that would turn a line into a heading, quote or list item
+  function escapeLineStarts(text) {
+    return text
+      .split('\n')
+      .map(line => line.replace(/^(\s*)([#+-])(?=\s|$)/, '$1\\$2').replace(/^(\s*)(\d+)\.(?=\s)/, '$1$2\\.'))
+      .join('\n');
   }
 
-  function detectCodeLanguage(codeEl) {
-    if (!(codeEl instanceof Element)) return '';
-    const classAttr = codeEl.getAttribute('class') || '';
-    // common patterns: language-js, lang-js, language-typescript, hljs language-python
-    const match = classAttr.match(/(?:language|lang)-([a-z0-9+#]+)/i) || classAttr.match(/\b([a-z0-9+#]+)\b/i);
-    return match ? match[1].toLowerCase() : '';
+  /**
+   * Resolve a possibly relative URL against the page being extracted.
+   * @returns {string} absolute URL, or '' for empty and script URLs
+   */
+  function resolveUrl(href) {
+    if (!href) return '';
+    try {
+      const url = new URL(href, getPageUrl());
+      if (url.protocol === 'javascript:') return '';
+      return url.href.replace(/[()\s]/g, ch => encodeURIComponent(ch));
+    } catch (_) {
+      return '';
+    }
   }
 
   function cleanInline(text) {
@@ -218,8 +2172,9 @@
    */
   function getSelectionInfo() {
     const sel = window.getSelection && window.getSelection();
-    if (sel && sel.rangeCount > 0 && sel.toString().trim().length > 0) {
-      const range = sel.getRangeAt(0);
+    const ranges = getSelectionRanges();
+    if (sel && ranges.length > 0) {
+      const range = ranges[0];
       const containerEl = range.commonAncestorContainer.nodeType === Node.ELEMENT_NODE
         ? range.commonAncestorContainer
         : range.commonAncestorContainer.parentElement;
@@ -228,18 +2183,93 @@
         text: sel.toString(),
         startOffset: range.startOffset || 0,
         endOffset: range.endOffset || 0,
-        containerEl
+        containerEl,
+        // Every range (Firefox table-cell selections have several) with its section heading path
+        ranges: ranges.map(r => ({ text: r.toString(), headingPath: getHeadingPath(r.startContainer) }))
       };
     }
-    return { hasSelection: false, text: '', startOffset: 0, endOffset: 0, containerEl: null };
+    return { hasSelection: false, text: '', startOffset: 0, endOffset: 0, containerEl: null, ranges: [] };
+  }
+
+  // Non-empty ranges of the current selection, in selection order
+  function getSelectionRanges() {
+    const sel = window.getSelection && window.getSelection();
+    if (!sel || sel.rangeCount === 0) return [];
+    const ranges = [];
+    for (let i = 0; i < sel.rangeCount; i++) {
+      const range = sel.getRangeAt(i);
+      if (!range.collapsed && range.toString().trim()) ranges.push(range);
+    }
+    return ranges;
+  }
+
+  /**
+   * Chunk only the selected part of a range. The walk starts at the nearest structural
+   * block around the range (so a selection inside a list or code block keeps that structure);
+   * nodes outside the range are skipped and text at the boundaries is clipped.
+   * @param {Range} range
+   * @returns {Array} chunks
+   */
+  function chunkSelectionRange(range) {
+    const container = range.commonAncestorContainer;
+    let root = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+    if (!root) return [];
+    root = root.closest('pre, ul, ol, h1, h2, h3, h4, h5, h6, p') || root;
+    activeRange = range;
+    // Ranges clip different parts of the same elements, so consumed elements are tracked per range
+    const emittedBefore = emittedElements;
+    if (emittedElements) emittedElements = new WeakSet();
+    try {
+      const chunks = chunkDomToSemanticBlocks(root);
+      if (chunks.length) return chunks;
+      // Selection inside an element the chunker does not capture (e.g. a span or table cell)
+      const text = serializeInline(root);
+      return text ? [{ type: 'paragraph', text }] : [];
+    } finally {
+      activeRange = null;
+      emittedElements = emittedBefore;
+    }
+  }
+
+  // Text of a text node, clipped to the active range when the node is one of its boundaries
+  function getClippedNodeText(node) {
+    const text = node.nodeValue || '';
+    if (!activeRange) return text;
+    const start = node === activeRange.startContainer ? activeRange.startOffset : 0;
+    const end = node === activeRange.endContainer ? activeRange.endOffset : text.length;
+    return text.slice(start, end);
+  }
+
+  /**
+   * Section path of a node: the chain of headings (by level) that precede it in the document,
+   * e.g. ["H1:Guide", "H2:Install", "H3:Linux"].
+   * @param {Node} node
+   * @returns {string[]}
+   */
+  function getHeadingPath(node) {
+    const stack = [];
+    for (const h of document.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+      if (h === node || h.contains(node)) {
+        // The selection starts inside this heading; it still opens the section
+      } else if (!(h.compareDocumentPosition(node) & Node.DOCUMENT_POSITION_FOLLOWING)) {
+        break;
+      }
+      const level = parseInt(h.tagName[1], 10);
+      const text = cleanInline(h.textContent || '');
+      if (!text) continue;
+      while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+      stack.push({ level, text });
+    }
+    return stack.map(h => `H${h.level}:${h.text}`);
   }
 
   /**
    * Context metadata for grounding the AI
    */
-  function buildContext(selectionInfo) {
+  function buildContext(selectionInfo, mainContent = null, site = null) {
     const url = location.href;
-    const title = document.title || '';
+    const metadata = extractPageMetadata(document);
+    const title = (site && site.title) || document.title || metadata.title || '';
     const timestamp = new Date().toISOString();
 
     // Top-level headings to serve as breadcrumbs of the page
@@ -249,65 +2279,896 @@
       return { level, text };
     });
 
+    // Why this container was chosen: the winner's path and score, plus the runners-up
+    const mainContentInfo = mainContent ? {
+      ...describeElement(mainContent.element),
+      score: round2(mainContent.score),
+      mergedSiblings: mainContent.roots.length - 1,
+      candidates: mainContent.candidates
+    } : null;
+
     return {
       url, title, timestamp,
       selection: selectionInfo,
-      breadcrumbs: topHeadings
+      breadcrumbs: topHeadings,
+      mainContent: mainContentInfo,
+      author: (site && site.author) || metadata.authors.join(', '),
+      authors: site && site.author ? [site.author] : metadata.authors,
+      metadata,
+      siteRule: site && site.rule ? {
+        pattern: site.rule.pattern,
+        rootMatches: site.roots.length,
+        removed: site.exclusions ? site.exclusions.size : 0,
+        errors: site.errors
+      } : null
+    };
+  }
+
+  /**
+   * Render the context as a YAML front matter block (values quoted where YAML requires it).
+   * Keys without a value are left out (title is always present); several authors become a list.
+   */
+  function renderFrontMatter(context) {
+    const meta = context.metadata || {};
+    const authors = context.authors || (context.author ? [context.author] : []);
+    const fields = [
+      ['url', context.url],
+      ['canonical_url', meta.canonical && meta.canonical !== context.url ? meta.canonical : ''],
+      ['title', context.title],
+      authors.length > 1 ? ['authors', authors] : ['author', authors[0] || ''],
+      ['published', meta.published],
+      ['modified', meta.modified],
+      ['duration', meta.duration],
+      ['site_name', meta.siteName],
+      ['description', meta.description ? truncateInline(meta.description, 300) : ''],
+      ['language', meta.language],
+      ['content_type', meta.contentType],
+      ['timestamp', context.timestamp],
+      ['pages', context.pages?.length > 1 ? context.pages.length : ''],
+      ['token_budget', context.tokenBudget ? context.tokenBudget.budget : ''],
+      ['elided', context.tokenBudget?.elided ? `${context.tokenBudget.elided} blocks, about ${context.tokenBudget.elidedTokens} tokens` : ''],
+      ['selection_excerpt', context.selection?.hasSelection ? truncateInline(context.selection.text, 300) : ''],
+      ['selection_breadcrumbs', context.selection?.ranges?.length ? context.selection.ranges.map(r => r.headingPath.length ? r.headingPath.join(' > ') : '(top)').join(' | ') : ''],
+      ['breadcrumbs', context.breadcrumbs?.length ? context.breadcrumbs.map(b => (b.level === 1 ? '# ' : '## ') + b.text).join(' | ') : '']
+    ];
+    const lines = ['---'];
+    for (const [key, value] of fields) {
+      if (Array.isArray(value)) {
+        if (!value.length) continue;
+        lines.push(`${key}:`);
+        value.forEach(item => lines.push(`  - ${yamlScalar(item)}`));
+      } else if ((value !== '' && value !== null && value !== undefined) || key === 'title') {
+        lines.push(`${key}: ${yamlScalar(value)}`);
+      }
+    }
+    lines.push('---', '');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * A YAML scalar for a value: numbers as is, strings plain when that is unambiguous,
+   * otherwise double-quoted (JSON string syntax is valid YAML double-quoted style).
+   */
+  function yamlScalar(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    const plain = text &&
+      !/^[-?:,[\]{}#&*!|>'"%@`\s]/.test(text) &&
+      !/:(\s|$)|\s#/.test(text) &&
+      !/^(?:true|false|yes|no|on|off|null|~|[-+]?(?:\d[\d_.]*(?:e[-+]?\d+)?|\.inf|\.nan))$/i.test(text);
+    return plain ? text : JSON.stringify(text);
+  }
+
+  // JSON-LD types describing the page's main entity, in order of preference
+  const JSONLD_MAIN_TYPES = ['Article', 'NewsArticle', 'BlogPosting', 'TechArticle', 'ScholarlyArticle', 'Report',
+    'SocialMediaPosting', 'DiscussionForumPosting', 'QAPage', 'Question', 'HowTo', 'Recipe', 'Review', 'VideoObject',
+    'Product', 'Event', 'Course', 'Book', 'WebPage', 'AboutPage', 'ProfilePage', 'CollectionPage'];
+
+  /**
+   * Page metadata for provenance and recency, harvested from JSON-LD, OpenGraph, Twitter cards,
+   * Dublin Core / citation / plain <meta> tags, <link rel="canonical"> and <html lang>.
+   * Earlier sources win: JSON-LD, then OpenGraph/article:*, then the rest.
+   * Dates are normalized to ISO 8601 when they parse.
+   * @param {Document} doc
+   * @returns {{canonical:string, title:string, authors:string[], published:string, modified:string,
+   *   siteName:string, description:string, language:string, contentType:string}}
+   */
+  function extractPageMetadata(doc) {
+    const meta = (...names) => {
+      for (const name of names) {
+        const el = doc.querySelector(`meta[property="${name}" i], meta[name="${name}" i], meta[itemprop="${name}" i]`);
+        const content = el && (el.getAttribute('content') || '').trim();
+        if (content) return content;
+      }
+      return '';
+    };
+    const metaAll = (...names) => names.flatMap(name =>
+      Array.from(doc.querySelectorAll(`meta[property="${name}" i], meta[name="${name}" i]`)).map(el => (el.getAttribute('content') || '').trim())
+    ).filter(Boolean);
+    const ld = getJsonLdMainEntity(doc) || {};
+    const first = (...values) => values.map(v => (typeof v === 'string' ? v.trim() : '')).find(Boolean) || '';
+
+    const canonicalLink = doc.querySelector('link[rel~="canonical" i][href]');
+    const canonical = first(canonicalLink ? resolveUrl(canonicalLink.getAttribute('href')) : '', resolveUrl(meta('og:url')), typeof ld.url === 'string' ? resolveUrl(ld.url) : '');
+
+    // Authors: JSON-LD persons/organizations, then article:author, citation/DC/plain author tags
+    let authors = jsonLdNames(ld.author || ld.creator);
+    if (!authors.length) authors = metaAll('article:author', 'citation_author', 'dc.creator', 'dcterms.creator').filter(a => !/^https?:\/\//i.test(a));
+    if (!authors.length) authors = metaAll('author', 'parsely-author', 'sailthru.author');
+    if (!authors.length) {
+      const rel = doc.querySelector('[rel~="author"], [itemprop="author"] [itemprop="name"], [itemprop="author"]');
+      if (rel) authors = [cleanInline(rel.textContent || '')].filter(Boolean);
+    }
+    authors = authors.map(a => cleanInline(a).replace(/^by\s+/i, '')).filter((a, i, all) => a && all.indexOf(a) === i);
+
+    const timeEl = doc.querySelector('time[itemprop="datePublished"][datetime], [itemprop="datePublished"][content], article time[datetime]');
+    const published = normalizeDate(first(ld.datePublished, ld.dateCreated, ld.uploadDate, meta('article:published_time', 'og:published_time',
+      'citation_publication_date', 'citation_date', 'dcterms.created', 'dc.date', 'dcterms.date', 'date', 'pubdate',
+      'parsely-pub-date', 'sailthru.date', 'datePublished'), timeEl ? (timeEl.getAttribute('datetime') || timeEl.getAttribute('content')) : ''));
+    const modified = normalizeDate(first(ld.dateModified, meta('article:modified_time', 'og:updated_time', 'dcterms.modified', 'last-modified', 'dateModified')));
+
+    const publisher = ld.publisher || ld.sourceOrganization;
+    const siteName = first(meta('og:site_name', 'application-name', 'twitter:site'), jsonLdNames(publisher)[0]);
+    const description = first(typeof ld.description === 'string' ? ld.description : '', meta('og:description', 'description', 'twitter:description', 'dc.description'));
+    const language = first(doc.documentElement && doc.documentElement.getAttribute('lang'), typeof ld.inLanguage === 'string' ? ld.inLanguage : '',
+      meta('og:locale', 'content-language', 'dc.language', 'language'), (doc.querySelector('meta[http-equiv="content-language" i]') || { getAttribute: () => '' }).getAttribute('content'));
+    const ldType = Array.isArray(ld['@type']) ? ld['@type'][0] : ld['@type'];
+    const contentType = first(typeof ldType === 'string' ? ldType : '', meta('og:type'));
+    const title = first(typeof ld.headline === 'string' ? ld.headline : '', meta('og:title', 'twitter:title', 'citation_title', 'dc.title'));
+
+    return {
+      canonical, title: cleanInline(title), authors, published, modified,
+      siteName: cleanInline(siteName), description: cleanInline(description),
+      language: language.replace(/_/g, '-'), contentType
+    };
+  }
+
+  // The JSON-LD node describing the page (first match in JSONLD_MAIN_TYPES order), or null
+  function getJsonLdMainEntity(doc) {
+    const nodes = [];
+    const collect = (value) => {
+      if (Array.isArray(value)) return value.forEach(collect);
+      if (!value || typeof value !== 'object') return;
+      nodes.push(value);
+      if (value['@graph']) collect(value['@graph']);
+      if (value.mainEntity && typeof value.mainEntity === 'object') collect(value.mainEntity);
+    };
+    for (const script of doc.querySelectorAll('script[type="application/ld+json" i]')) {
+      try {
+        collect(JSON.parse(script.textContent || ''));
+      } catch (_) {
+        // Invalid JSON-LD is common; ignore it
+      }
+    }
+    const typesOf = node => [].concat(node['@type'] || []).map(String);
+    for (const type of JSONLD_MAIN_TYPES) {
+      const node = nodes.find(n => typesOf(n).includes(type));
+      if (node) return node;
+    }
+    return null;
+  }
+
+  // Names of JSON-LD persons/organizations given as strings, objects or arrays
+  function jsonLdNames(value) {
+    return [].concat(value || []).map(v => (typeof v === 'string' ? v : (v && typeof v.name === 'string' ? v.name : '')))
+      .map(name => cleanInline(name)).filter(name => name && !/^https?:\/\//i.test(name));
+  }
+
+  // ISO 8601 form of a date string; date-only values stay date-only, unparseable values are kept
+  function normalizeDate(value) {
+    const text = (value || '').trim();
+    if (!text) return '';
+    // Already ISO 8601: keep it, including its UTC offset
+    if (/^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/.test(text)) return text.replace(' ', 'T');
+    if (/^\d{4}\/\d{1,2}\/\d{1,2}$/.test(text)) {
+      const [y, m, d] = text.split('/');
+      return `${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`;
+    }
+    const time = Date.parse(text);
+    return Number.isNaN(time) ? text : new Date(time).toISOString();
+  }
+
+  /**
+   * Copy of the chunks with heading levels normalized and slugs assigned:
+   * - levels are re-based so the shallowest heading becomes H1; a lone leading top-level
+   *   heading (the document title) stays H1 with the sections below it starting at H2
+   * - skipped levels are repaired: a heading is at most one level below its parent section
+   * - slugs follow GitHub's anchor rules (lowercase, punctuation dropped, "-1" suffixes for repeats)
+   * Headings nested in details/figure chunks take part in document order.
+   * Normalizing already-normalized chunks leaves them unchanged.
+   * @param {Array<Object>} chunks
+   * @returns {Array<Object>}
+   */
+  function normalizeHeadings(chunks) {
+    const stack = []; // {level: original, normalized}
+    const slugs = new Map();
+    const visit = list => list.map(c => {
+      if (c.type === 'heading') {
+        while (stack.length && stack[stack.length - 1].level >= c.level) stack.pop();
+        const normalized = Math.min(6, stack.length ? stack[stack.length - 1].normalized + 1 : 1);
+        stack.push({ level: c.level, normalized });
+        return { ...c, level: normalized, slug: uniqueSlug(slugify(c.text), slugs) };
+      }
+      return Array.isArray(c.chunks) ? { ...c, chunks: visit(c.chunks) } : c;
+    });
+    return visit(chunks || []);
+  }
+
+  // GitHub-style anchor for a heading's Markdown text
+  function slugify(markdown) {
+    return stripInlineMarkdown(markdown)
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\p{M}\s_-]/gu, '')
+      .trim()
+      .replace(/\s/g, '-');
+  }
+
+  function uniqueSlug(slug, seen) {
+    const base = slug || 'section';
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count ? `${base}-${count}` : base;
+  }
+
+  // Plain text of inline Markdown: link/image text kept, emphasis/code markers and escapes dropped
+  function stripInlineMarkdown(markdown) {
+    return String(markdown || '')
+      .replace(/!?\[([^\]]*)\](?:\([^)]*\)|\[[^\]]*\])/g, '$1')
+      .replace(/\[\^[^\]]+\]/g, '')
+      .replace(/<\/?[a-z][^>]*>/gi, '')
+      .replace(/[*_~`]+/g, '')
+      .replace(/\\([\\`*_{}\[\]()#+\-.!|<>~])/g, '$1')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Table of contents as a nested Markdown list linking each heading's slug, with the word
+   * count of each section (its blocks up to the next heading of the same or a higher level).
+   * Headings removed by the filters are left out. Returns '' for fewer than two headings.
+   * @param {Array<Object>} chunks normalized chunks
+   * @param {Object} include
+   * @param {string} body the filtered Markdown body
+   * @returns {string}
+   */
+  function renderTableOfContents(chunks, include, body) {
+    if (!include.heading) return '';
+    const flat = [];
+    const flatten = list => list.forEach(c => {
+      if (TRAILING_CHUNK_TYPES.has(c.type)) return;
+      if (Array.isArray(c.chunks) && c.type !== 'heading') {
+        flatten(c.chunks);
+      } else {
+        flat.push(c);
+      }
+    });
+    flatten(chunks);
+
+    const bodyLines = new Set(body.split('\n'));
+    const entries = [];
+    flat.forEach((c, i) => {
+      if (c.type !== 'heading') return;
+      const line = `${'#'.repeat(c.level)} ${c.text}`;
+      if (!bodyLines.has(line)) return;
+      let words = 0;
+      for (let j = i + 1; j < flat.length && !(flat[j].type === 'heading' && flat[j].level <= c.level); j++) {
+        if (flat[j].type === 'heading') continue;
+        const lines = [];
+        renderChunks([flat[j]], include, lines);
+        words += countWords(lines.join('\n'));
+      }
+      entries.push({ level: c.level, text: stripInlineMarkdown(c.text), slug: c.slug, words });
+    });
+    if (entries.length < 2) return '';
+
+    const minLevel = Math.min(...entries.map(e => e.level));
+    const lines = ['## Contents', ''];
+    entries.forEach(e => {
+      const indent = '  '.repeat(e.level - minLevel);
+      lines.push(`${indent}- [${escapeMarkdown(e.text)}](#${e.slug}) (${e.words} word${e.words === 1 ? '' : 's'})`);
+    });
+    return lines.join('\n');
+  }
+
+  function countWords(markdown) {
+    const text = stripInlineMarkdown(markdown).replace(/^[>#\-*+|:\s]+|```\w*/gm, ' ');
+    return (text.match(/[\p{L}\p{N}][\p{L}\p{N}'’_-]*/gu) || []).length;
+  }
+
+  /**
+   * The chunks as the Markdown output presents them, for renderers that start from the chunk
+   * list (buildPassages, OutputRenderers): without the block types `include` switches off and
+   * without options.excludeSections, fitted to options.tokenBudget, headings normalized, and
+   * blocks the boilerplate filters remove from the Markdown body left out. Filtering is
+   * skipped when options.filter or context.filter is false (structured threads).
+   * @param {Array<Object>} chunks
+   * @param {Object} include
+   * @param {Object} context
+   * @param {{tokenBudget?:number, tokenModel?:string, filter?:boolean}} [options]
+   * @returns {Array<Object>}
+   */
+  function selectRenderedChunks(chunks, include, context, options = {}) {
+    chunks = dropExcludedTypes(chunks, include);
+    if (options.excludeSections && options.excludeSections.length) {
+      chunks = omitSections(chunks, options.excludeSections);
+      options = { ...options, excludeSections: null };
+    }
+    if (options.tokenBudget > 0) chunks = fitToTokenBudget(chunks, include, context, options);
+    chunks = normalizeHeadings(chunks);
+    if (options.filter === false || (context && context.filter === false)) return chunks;
+
+    // A block survives when its first line is still in the filtered body (as the table of contents checks headings)
+    const body = [];
+    renderChunks(chunks.filter(c => !TRAILING_CHUNK_TYPES.has(c.type)), include, body);
+    const kept = new Set(filterMarkdown(body.join('\n').trim() + '\n', window.__customFilters || null).split('\n'));
+    return chunks.filter(c => {
+      if (TRAILING_CHUNK_TYPES.has(c.type)) return true;
+      const lines = [];
+      renderChunks([c], include, lines);
+      const first = lines.join('\n').split('\n').find(line => line.trim());
+      return !first || kept.has(first);
+    });
+  }
+
+  /**
+   * Normalized chunks without the given sections: a heading whose slug (see normalizeHeadings) is
+   * listed, its blocks and its subsections up to the next heading of the same or a higher level.
+   * Trailing blocks (comments, footnotes, link definitions) are kept.
+   * @param {Array<Object>} chunks
+   * @param {string[]} slugs
+   * @returns {Array<Object>}
+   */
+  function omitSections(chunks, slugs) {
+    const omitted = new Set(slugs);
+    let skipLevel = 0;
+    return normalizeHeadings(chunks).filter(c => {
+      if (TRAILING_CHUNK_TYPES.has(c.type)) return true;
+      if (c.type === 'heading') {
+        if (skipLevel && c.level > skipLevel) return false;
+        skipLevel = omitted.has(c.slug) ? c.level : 0;
+      }
+      return !skipLevel;
+    });
+  }
+
+  // Chunks without the block types switched off in include, inside containers and comments too
+  function dropExcludedTypes(chunks, include) {
+    return chunks.filter(c => include[c.type] !== false).map(c => {
+      if (Array.isArray(c.chunks)) return { ...c, chunks: dropExcludedTypes(c.chunks, include) };
+      if (c.type === 'comments') return { ...c, items: c.items.map(item => ({ ...item, chunks: dropExcludedTypes(item.chunks, include) })) };
+      return c;
+    });
+  }
+
+  /**
+   * Chunks that fit options.tokenBudget (estimated with TokenCounter for options.tokenModel).
+   * Blocks are elided lowest priority first (see getElisionPriority), later ones before earlier
+   * ones, and each run of elided blocks leaves one "elided" note; headings, footnotes, link
+   * definitions and selected content are never elided. Once the result fits, elided blocks that
+   * fit in the rest of the budget are put back, most important first, so the output ends just
+   * under the budget. The output is measured as Markdown, or with options.renderForBudget (the
+   * renderer of another output format, see OutputRenderers.renderOutput). The outcome is
+   * recorded in context.tokenBudget.
+   */
+  function fitToTokenBudget(chunks, include, context, options) {
+    const budget = options.tokenBudget;
+    const count = text => countTokens(text, options.tokenModel);
+    const render = options.renderForBudget || (list => renderMarkdown(list, include, context, { ...options, tokenBudget: 0 }));
+    const measure = list => count(render(list));
+    context.tokenBudget = { budget, model: options.tokenModel || '', elided: 0, elidedTokens: 0 };
+
+    let fitted = chunks;
+    let total = measure(fitted);
+    const selected = !!(context.selection && context.selection.hasSelection);
+    const candidates = chunks
+      .map((chunk, index) => ({ chunk, index, priority: selected ? null : getElisionPriority(chunk, index, chunks) }))
+      .filter(c => c.priority !== null)
+      .sort((a, b) => a.priority - b.priority || b.index - a.index);
+    const elided = new Map();
+    // Elision notes added (or, when negative, saved) by eliding the block at index: runs share one note
+    const addedNotes = index => 1 - (elided.has(index - 1) ? 1 : 0) - (elided.has(index + 1) ? 1 : 0);
+    const apply = () => {
+      context.tokenBudget.elided = elided.size;
+      context.tokenBudget.elidedTokens = Array.from(elided.values()).reduce((sum, n) => sum + n, 0);
+      return buildElidedChunks(chunks, elided);
+    };
+
+    while (total > budget && elided.size < candidates.length) {
+      // Elide by estimate until the budget is met, then re-measure the rendered result
+      let estimate = total;
+      for (const c of candidates) {
+        if (estimate <= budget) break;
+        if (elided.has(c.index)) continue;
+        const lines = [];
+        renderChunks([c.chunk], include, lines);
+        const tokens = count(lines.join('\n'));
+        estimate -= tokens - addedNotes(c.index) * ELISION_NOTE_TOKENS;
+        elided.set(c.index, tokens);
+      }
+      fitted = apply();
+      total = measure(fitted);
+    }
+
+    // Put back what fits again, most important first (the reverse of the elision order)
+    for (const [index, tokens] of Array.from(elided).reverse()) {
+      if (total > budget) break;
+      elided.delete(index);
+      if (tokens - addedNotes(index) * ELISION_NOTE_TOKENS > budget - total) {
+        elided.set(index, tokens);
+        continue;
+      }
+      const restored = apply();
+      const restoredTotal = measure(restored);
+      if (restoredTotal <= budget) {
+        fitted = restored;
+        total = restoredTotal;
+      } else {
+        elided.set(index, tokens);
+      }
+    }
+    apply();
+    return fitted;
+  }
+  // Replace elided chunks by one "elided" note per run: {type:'elided', kinds:{table:2}, tokens}
+  function buildElidedChunks(chunks, elided) {
+    const out = [];
+    chunks.forEach((chunk, index) => {
+      if (!elided.has(index)) return out.push(chunk);
+      let note = out[out.length - 1];
+      if (!note || note.type !== 'elided') out.push(note = { type: 'elided', kinds: {}, tokens: 0 });
+      note.kinds[chunk.type] = (note.kinds[chunk.type] || 0) + 1;
+      note.tokens += elided.get(index);
+    });
+    return out;
+  }
+
+  const ELISION_NOTE_TOKENS = 20;
+
+  // Rows beyond which a table counts as long, and items beyond which a list counts as long
+  const LONG_TABLE_ROWS = 15;
+  const LONG_LIST_ITEMS = 12;
+
+  /**
+   * Elision order under a token budget (lower goes first; null = always kept):
+   * 0 reader comments; 1 footer-like closing lines and link lists (navigation, "related"),
+   * repeated lists; 2 long tables and long lists; 3 images, rules, collapsed details, figures;
+   * 4 other tables and lists; 5 prose, quotes, code and math.
+   */
+  function getElisionPriority(chunk, index, chunks) {
+    switch (chunk.type) {
+      case 'heading':
+      case 'page':
+      case 'frame':
+      case 'footnotes':
+      case 'links':
+        return null;
+      case 'comments':
+        return 0;
+      case 'list': {
+        const texts = chunk.items.map(item => item.text || '');
+        const linkOnly = texts.filter(t => /^\[[^\]]*\]\([^)]*\)$/.test(t.trim())).length;
+        if (texts.length >= 3 && linkOnly / texts.length >= 0.6) return 1;
+        const signature = texts.join('\n');
+        if (chunks.some((other, i) => i < index && other.type === 'list' && other.items.map(item => item.text || '').join('\n') === signature)) return 1;
+        return chunk.items.length > LONG_LIST_ITEMS ? 2 : 4;
+      }
+      case 'table':
+        return (chunk.rows || []).length > LONG_TABLE_ROWS || (chunk.html && (chunk.html.match(/<tr>/g) || []).length > LONG_TABLE_ROWS) ? 2 : 4;
+      case 'image':
+      case 'hr':
+      case 'details':
+      case 'figure':
+        return 3;
+      case 'paragraph':
+        // Short closing lines after the last heading: sign-offs, credits, copyright notes
+        return index >= chunks.length * 0.9 && chunk.text.length < 160 && !chunks.slice(index + 1).some(c => c.type === 'heading') ? 1 : 5;
+      default:
+        return 5;
+    }
+  }
+
+  // Estimated tokens with the bundled TokenCounter (injected next to this script), else ~4 characters per token
+  function countTokens(text, model) {
+    const counter = window.TokenCounter;
+    return counter ? counter.estimateTokens(text, model) : Math.ceil(String(text || '').length / 4);
+  }
+
+  // Passage size and overlap (estimated tokens) when options.maxTokens / options.overlap are not given
+  const DEFAULT_PASSAGE_TOKENS = 512;
+  const DEFAULT_PASSAGE_OVERLAP = 64;
+
+  /**
+   * Split an extraction into token-bounded passages for retrieval indexes.
+   * Passages never cross a heading: the blocks of each section are packed into passages of at
+   * most options.maxTokens (estimated for options.tokenModel), and consecutive passages of a
+   * section repeat trailing blocks (or sentences) of up to options.overlap tokens (at most half a
+   * passage). Blocks longer than a passage are split (tables repeat their header, code keeps its
+   * fence, lists split between items, text at lines, sentences or words). Reader comments form a "Comments" section
+   * with one subsection per comment. Blocks the boilerplate filters remove are left out (see
+   * selectRenderedChunks); reference-style links are written inline and cited footnotes are
+   * appended to each passage, so every passage stands on its own.
+   * @param {Array<Object>} chunks extraction chunks (result.chunks)
+   * @param {Object} context extraction context (result.context)
+   * @param {{maxTokens?:number, overlap?:number, tokenModel?:string}} [options]
+   * @returns {Array<{headingPath:string[], text:string, tokens:number}>}
+   */
+  function buildPassages(chunks, context, options = {}) {
+    const maxTokens = Math.max(32, parseInt(options.maxTokens, 10) || DEFAULT_PASSAGE_TOKENS);
+    const overlap = Math.max(0, Math.min(Math.floor(maxTokens / 2),
+      options.overlap === undefined ? DEFAULT_PASSAGE_OVERLAP : parseInt(options.overlap, 10) || 0));
+    const count = text => countTokens(text, options.tokenModel);
+    const include = resolveInclude(options);
+    const render = chunk => {
+      const lines = [];
+      renderChunks([chunk], include, lines);
+      return lines.join('\n').trim();
+    };
+
+    const normalized = selectRenderedChunks(chunks, include, context, { filter: options.filter });
+
+    // Sections in document order: heading path plus the blocks up to the next heading
+    const sections = [];
+    const stack = [];
+    const openSection = (level, text) => {
+      while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+      stack.push({ level, text: stripInlineMarkdown(text) });
+      sections.push({ headingPath: stack.map(h => h.text), blocks: [] });
+    };
+    const addBlock = chunk => {
+      if (!sections.length) sections.push({ headingPath: [], blocks: [] });
+      sections[sections.length - 1].blocks.push(chunk);
+    };
+    normalized.filter(c => !TRAILING_CHUNK_TYPES.has(c.type)).forEach(c => {
+      if (c.type === 'heading') {
+        openSection(c.level, c.text);
+      } else if (c.type !== 'page' && c.type !== 'frame' && c.type !== 'elided') {
+        addBlock(c);
+      }
+    });
+    normalized.filter(c => c.type === 'comments').forEach(c => {
+      openSection(2, 'Comments');
+      c.items.forEach(item => {
+        openSection(Math.min(6, 3 + item.depth), [item.author || 'Anonymous', item.date].filter(Boolean).join(' — '));
+        item.chunks.forEach(b => (b.type === 'heading' ? null : addBlock(b)));
+      });
+    });
+
+    // Reference-style links become inline links; cited footnotes are appended to the passage
+    const links = new Map();
+    const notes = new Map();
+    normalized.forEach(c => {
+      if (c.type === 'links') c.items.forEach(item => links.set(String(item.label), item.url));
+      if (c.type === 'footnotes') c.items.forEach(item => notes.set(String(item.label), item.text || ''));
+    });
+    const finish = text => {
+      let out = links.size ? text.replace(/\]\[([^\]^]+)\]/g, (m, label) => (links.has(label) ? `](${links.get(label)})` : m)) : text;
+      const cited = Array.from(new Set(Array.from(out.matchAll(/\[\^([^\]]+)\]/g), m => m[1]))).filter(label => notes.has(label));
+      if (cited.length) out += '\n\n' + cited.map(label => `[^${label}]: ${notes.get(label).replace(/\n/g, '\n    ')}`).join('\n');
+      return out;
+    };
+
+    // Units are measured as they will read in the passage; long blocks leave room for the overlap
+    const measure = text => count(finish(text));
+    const passages = [];
+    for (const section of sections) {
+      const units = section.blocks.flatMap(chunk => splitPassageBlock(chunk, maxTokens - overlap, render, measure));
+      let current = [];
+      let tokens = 0;
+      const flush = () => {
+        if (!current.some(u => !u.overlap)) return;
+        const text = finish(current.map(u => u.text).join('\n\n'));
+        passages.push({ headingPath: section.headingPath, text, tokens: count(text) });
+      };
+      for (const unit of units) {
+        if (current.length && tokens + unit.tokens > maxTokens) {
+          flush();
+          current = getOverlapUnits(current, overlap, maxTokens - unit.tokens, measure);
+          tokens = current.reduce((sum, u) => sum + u.tokens, 0);
+        }
+        current.push(unit);
+        tokens += unit.tokens;
+      }
+      flush();
+    }
+    return passages;
+  }
+
+  /**
+   * A block as passage units of at most maxTokens: {text, tokens, prose}.
+   * Tables (GFM), code and lists are split into smaller blocks of the same kind; other blocks
+   * are split at line breaks, then sentences, then words.
+   */
+  function splitPassageBlock(chunk, maxTokens, render, count) {
+    const text = render(chunk);
+    if (!text) return [];
+    const prose = chunk.type === 'paragraph' || chunk.type === 'blockquote';
+    const tokens = count(text);
+    if (tokens <= maxTokens) return [{ text, tokens, prose }];
+
+    // Pack items into blocks built by make(items, offset), by their estimated share of the block
+    const pack = (items, make) => {
+      const base = count(render(make([], 0)));
+      const out = [];
+      let start = 0;
+      let size = base;
+      items.forEach((item, i) => {
+        const itemTokens = Math.max(1, count(render(make([item], i))) - base);
+        if (i > start && size + itemTokens > maxTokens) {
+          out.push(render(make(items.slice(start, i), start)));
+          start = i;
+          size = base;
+        }
+        size += itemTokens;
+      });
+      out.push(render(make(items.slice(start), start)));
+      return out;
+    };
+    let pieces;
+    if (chunk.type === 'table' && !chunk.html && chunk.rows.length > 1) {
+      pieces = pack(chunk.rows, rows => ({ ...chunk, rows }));
+    } else if (chunk.type === 'code' && chunk.code.includes('\n')) {
+      pieces = pack(chunk.code.split('\n'), lines => ({ ...chunk, code: lines.join('\n') }));
+    } else if (chunk.type === 'list' && chunk.items.length > 1) {
+      pieces = pack(chunk.items, (items, offset) => ({ ...chunk, items, start: (chunk.start || 1) + offset }));
+    } else {
+      pieces = splitPassageText(text, maxTokens, count);
+    }
+    // A single table row, code line or list item may still exceed the limit
+    return pieces.flatMap(piece => (count(piece) > maxTokens && pieces.length > 1 ? splitPassageText(piece, maxTokens, count) : [piece]))
+      .filter(Boolean)
+      .map(piece => ({ text: piece, tokens: count(piece), prose }));
+  }
+
+  // Text in pieces of at most maxTokens, split at line breaks, then sentences, then words
+  function splitPassageText(text, maxTokens, count) {
+    const pieces = [];
+    const join = (parts, separator) => {
+      let current = '';
+      for (const part of parts) {
+        const next = current ? current + separator + part : part;
+        if (current && count(next) > maxTokens) {
+          pieces.push(current);
+          current = part;
+        } else {
+          current = next;
+        }
+        if (count(current) > maxTokens) {
+          if (separator === '\n') {
+            join(current.split(/(?<=[.!?…。])\s+/), ' ');
+          } else if (separator === ' ' && /\s/.test(current)) {
+            join(current.split(/\s+/), '\0');
+          } else {
+            pieces.push(current);
+          }
+          current = '';
+        }
+      }
+      if (current) pieces.push(current);
     };
+    join(text.split('\n'), '\n');
+    return pieces.map(piece => piece.replace(/\0/g, ' '));
+  }
+
+  /**
+   * Trailing units of a finished passage to repeat at the start of the next one: whole units
+   * worth at most overlap tokens, else the last sentences of a trailing prose unit.
+   * Never more than room tokens, so the next unit still fits.
+   */
+  function getOverlapUnits(units, overlap, room, count) {
+    const limit = Math.min(overlap, room);
+    if (limit <= 0) return [];
+    const out = [];
+    let tokens = 0;
+    for (let i = units.length - 1; i >= 0 && tokens + units[i].tokens <= limit; i--) {
+      out.unshift({ ...units[i], overlap: true });
+      tokens += units[i].tokens;
+    }
+    if (out.length || !units.length || !units[units.length - 1].prose) return out;
+    const sentences = units[units.length - 1].text.split(/(?<=[.!?…。])\s+/);
+    let tail = '';
+    for (let i = sentences.length - 1; i > 0; i--) {
+      const next = tail ? `${sentences[i]} ${tail}` : sentences[i];
+      if (count(next) > limit) break;
+      tail = next;
+    }
+    return tail ? [{ text: tail, tokens: count(tail), prose: true, overlap: true }] : [];
   }
 
   /**
    * Render to Markdown with a context header
+   * Headings are normalized first (see normalizeHeadings); options.tableOfContents prepends a contents list.
+   * The boilerplate filters are skipped when options.filter is false (structured threads, where
+   * "Comments" sections are the content). With options.tokenBudget, low-priority blocks are
+   * elided until the estimate fits (see fitToTokenBudget). Sections listed in options.excludeSections
+   * are left out first (see omitSections).
    */
-  function renderMarkdown(chunks, include, context) {
-    const header = [
-      '---',
-      `url: ${context.url}`,
-      `title: ${context.title}`,
-      `timestamp: ${context.timestamp}`,
-      context.selection?.hasSelection ? `selection_excerpt: ${truncateInline(context.selection.text, 300)}` : null,
-      context.breadcrumbs?.length ? `breadcrumbs: ${context.breadcrumbs.map(b => (b.level === 1 ? '# ' : '## ') + b.text).join(' | ')}` : null,
-      '---',
-      ''
-    ].filter(Boolean).join('\n');
+  function renderMarkdown(chunks, include, context, options = {}) {
+    if (options.excludeSections && options.excludeSections.length) {
+      return renderMarkdown(omitSections(chunks, options.excludeSections), include, context, { ...options, excludeSections: null });
+    }
+    if (options.tokenBudget > 0) {
+      const fitted = fitToTokenBudget(chunks, include, context, options);
+      return renderMarkdown(fitted, include, context, { ...options, tokenBudget: 0 });
+    }
+    const header = renderFrontMatter(context);
 
+    chunks = normalizeHeadings(chunks);
     const lines = [];
+    renderChunks(chunks.filter(c => !TRAILING_CHUNK_TYPES.has(c.type)), include, lines);
+    let body = lines.join('\n').trim() + '\n';
+
+    // Apply markdown filtering
+    const customFilters = window.__customFilters || null;
+    if (options.filter !== false) body = filterMarkdown(body, customFilters);
+
+    // Table of contents of the sections that survived filtering
+    if (options.tableOfContents) {
+      const toc = renderTableOfContents(chunks, include, body);
+      if (toc) body = `${toc}\n\n${body}`;
+    }
+
+    // Footnote and link definitions go after filtering, which would otherwise remove them
+    // together with a trailing section the filters match
+    const trailing = [];
+    renderChunks(chunks.filter(c => TRAILING_CHUNK_TYPES.has(c.type)), include, trailing);
+    if (trailing.length) body = `${body.trimEnd()}\n\n${trailing.join('\n').trim()}\n`;
+
+    return `${header}${body}`;
+  }
+
+  const TRAILING_CHUNK_TYPES = new Set(['comments', 'footnotes', 'links']);
+
+  const ELIDED_TYPE_NAMES = { paragraph: 'paragraph', list: 'list', table: 'table', code: 'code block', blockquote: 'quote',
+    image: 'image', math: 'formula', definitions: 'definition list', details: 'collapsed section', hr: 'rule', figure: 'figure',
+    comments: 'comment section' };
+
+  // "Elided to fit the token budget: 1 table, 2 lists, about 420 tokens"
+  function describeElision(chunk) {
+    const kinds = Object.entries(chunk.kinds).map(([type, n]) => `${n} ${ELIDED_TYPE_NAMES[type] || type}${n === 1 ? '' : 's'}`);
+    return `Elided to fit the token budget: ${kinds.join(', ')}, about ${chunk.tokens} tokens`;
+  }
+
+  /**
+   * Render chunks into Markdown lines, one block per chunk separated by blank lines.
+   * Container chunks (details, figure) render their nested chunks recursively.
+   */
+  function renderChunks(chunks, include, lines) {
     for (const c of chunks) {
       if (c.type === 'heading' && include.heading) {
         lines.push(`${'#'.repeat(Math.min(6, c.level))} ${c.text}`);
       } else if (c.type === 'paragraph' && include.paragraph) {
         lines.push(c.text);
       } else if (c.type === 'list' && include.list) {
-        if (c.ordered) {
-          c.items.forEach((item, i) => lines.push(`${i + 1}. ${item}`));
-        } else {
-          c.items.forEach(item => lines.push(`- ${item}`));
-        }
+        renderList(c, '', lines);
       } else if (c.type === 'code' && include.code) {
-        const lang = c.lang || '';
-        lines.push('```' + lang);
+        const fence = codeFence(c.code);
+        // Filename/caption goes in the info string: ```python title="app.py"
+        const info = c.title ? `${c.lang || 'text'} title="${c.title.replace(/"/g, "'")}"` : (c.lang || '');
+        lines.push(fence + info);
         lines.push(c.code);
-        lines.push('```');
+        lines.push(fence);
       } else if (c.type === 'blockquote' && include.blockquote) {
         c.text.split('\n').forEach(line => lines.push(`> ${line}`));
       } else if (c.type === 'table' && include.table) {
-        // Render simple table: header separator after first row
-        for (let r = 0; r < c.rows.length; r++) {
-          lines.push(`| ${c.rows[r].join(' | ')} |`);
-          if (r === 0 && c.rows.length > 1) {
-            lines.push(`| ${c.rows[r].map(() => '---').join(' | ')} |`);
-          }
+        renderTable(c, lines);
+      } else if (c.type === 'image' && include.image) {
+        renderImage(c, lines);
+      } else if (c.type === 'math' && include.math) {
+        if (c.display) {
+          lines.push('$$', c.tex, '$$');
+        } else {
+          lines.push(`$${c.tex}$`);
         }
+      } else if (c.type === 'definitions' && include.definitions) {
+        renderDefinitions(c, lines);
+      } else if (c.type === 'details' && include.details) {
+        // GFM renders Markdown inside <details> when separated by blank lines
+        lines.push(`<details${c.open ? ' open' : ''}>`, `<summary>${c.summary}</summary>`, '');
+        renderChunks(c.chunks || [], include, lines);
+        lines.push('</details>');
+      } else if (c.type === 'figure' && include.figure) {
+        renderChunks(c.chunks || [], include, lines);
+        if (c.caption) lines.push(c.caption);
+      } else if (c.type === 'hr' && include.hr) {
+        lines.push('---');
+      } else if (c.type === 'page' && include.page) {
+        lines.push(`<!-- page ${c.number}: ${c.url} -->`);
+      } else if (c.type === 'comments' && include.comments) {
+        lines.push('## Comments', '');
+        if (c.total > c.items.length) lines.push(`*Showing ${c.items.length} of ${c.total} comments.*`, '');
+        c.items.forEach(item => {
+          // Replies nest one heading level deeper per level, down to H6
+          const level = Math.min(6, 3 + item.depth);
+          const byline = [item.author || 'Anonymous', item.date].filter(Boolean).join(' — ');
+          lines.push(`${'#'.repeat(level)} ${byline}`, '');
+          renderChunks(item.chunks.map(b => (b.type === 'heading' ? { ...b, level: Math.min(6, level + 1) } : b)), include, lines);
+        });
+      } else if (c.type === 'elided') {
+        lines.push(`*[${describeElision(c)}]*`);
+      } else if (c.type === 'footnotes' && include.footnotes) {
+        // Continuation lines of a footnote are indented four spaces
+        c.items.forEach(item => {
+          const [first, ...rest] = (item.text || '').split('\n');
+          lines.push(`[^${item.label}]: ${first}`);
+          rest.forEach(line => lines.push(line ? `    ${line}` : ''));
+        });
+      } else if (c.type === 'links' && include.links) {
+        c.items.forEach(item => lines.push(`[${item.label}]: ${item.url}`));
       }
       lines.push(''); // blank line between blocks
     }
-    let body = lines.join('\n').trim() + '\n';
+  }
 
-    // Apply markdown filtering
-    const customFilters = window.__customFilters || null;
-    body = filterMarkdown(body, customFilters);
+  /**
+   * Render a definition list as "Term" lines followed by ": definition" lines
+   * (the Pandoc / Markdown Extra syntax); definition continuation lines are indented.
+   */
+  function renderDefinitions(dl, lines) {
+    dl.items.forEach((item, i) => {
+      if (i > 0) lines.push('');
+      item.terms.forEach(term => lines.push(term.replace(/\n+/g, ' ')));
+      item.definitions.forEach(def => {
+        const [first, ...rest] = def.split('\n');
+        lines.push(`: ${first}`);
+        rest.forEach(line => lines.push(line ? `  ${line}` : ''));
+      });
+    });
+  }
 
-    return `${header}${body}`;
+  /**
+   * Render a list tree as (nested) Markdown list lines.
+   * Continuation lines and child lists are indented to the item's content column.
+   */
+  function renderList(list, indent, lines) {
+    list.items.forEach((item, i) => {
+      const marker = list.ordered ? `${list.start + i}.` : '-';
+      const task = item.checked === null || item.checked === undefined ? '' : (item.checked ? '[x] ' : '[ ] ');
+      const pad = indent + ' '.repeat(marker.length + 1);
+      const [first, ...rest] = (item.text || '').split('\n');
+      lines.push(`${indent}${marker} ${task}${first}`);
+      rest.forEach(line => lines.push(line ? pad + line : ''));
+      (item.children || []).forEach(child => renderList(child, pad, lines));
+    });
+  }
+
+  /**
+   * Render a table chunk as a GFM table, or as its HTML fallback.
+   * Tables without a detected header get an empty header row, since GFM requires one.
+   */
+  function renderTable(table, lines) {
+    if (table.html) {
+      lines.push(table.html);
+      return;
+    }
+    if (table.caption) lines.push(`**${table.caption}**`, '');
+    const width = (table.header || table.rows[0] || []).length;
+    if (!width) return;
+    const header = table.header || new Array(width).fill('');
+    const row = cells => `| ${cells.map(escapeTableCell).join(' | ')} |`;
+    lines.push(row(header));
+    lines.push(`| ${header.map(() => '---').join(' | ')} |`);
+    table.rows.forEach(cells => lines.push(row(cells)));
+  }
+
+  /**
+   * Render an image chunk: a Markdown image (or a link for videos), caption on the line below.
+   * SVGs have no URL, so they are described by their label.
+   */
+  function renderImage(image, lines) {
+    const alt = escapeMarkdown(image.alt || '');
+    if (image.media === 'video') {
+      if (image.poster) lines.push(`![${alt || 'Video poster'}](${image.poster})`);
+      if (image.src) lines.push(`[Video${alt ? `: ${alt}` : ''}](${image.src})`);
+    } else if (image.src) {
+      lines.push(`![${alt}](${image.src})`);
+    } else {
+      lines.push(`[Image: ${alt || 'inline graphic'}]`);
+    }
+    if (image.caption) lines.push(image.caption);
+  }
+
+  function escapeTableCell(text) {
+    return (text || '').replace(/\|/g, '\\|').replace(/\n+/g, '<br>');
   }
 
   /**
@@ -413,7 +3274,7 @@
 
     // Final cleanup to normalize whitespace
     content = content.replace(/\n{3,}/g, '\n\n'); // Collapse excess newlines
-    content = content.replace(/(\n\s*){2,}/g, '\n\n'); // Collapse newlines with only whitespace in them
+    content = content.replace(/\n(?:[ \t]*\n)+/g, '\n\n'); // Collapse whitespace-only lines, keeping the next line's indentation
 
     return content.trim() + '\n';
   }
@@ -423,11 +3284,54 @@
     return t.length > max ? t.slice(0, max - 1) + '…' : t;
   }
 
+  /**
+   * Hidden check used while chunking. When collapsed content is included, elements hidden only
+   * because a closed <details>, inactive tab panel or collapsed accordion contains them count as
+   * visible; inside such a region only the element's own styles can hide it.
+   */
+  function isHiddenContent(element) {
+    if (!isHidden(element)) return false;
+    if (!collapsedScope) return true;
+    const region = getCollapsedRegion(element);
+    if (!region) return true;
+    if (region === element) return false;
+    const style = getStyle(element);
+    if (style.display === 'none') return true;
+    return style.visibility === 'hidden' && getStyle(region).visibility !== 'hidden';
+  }
+
+  function createCollapsedScope() {
+    const controlledIds = new Set();
+    for (const trigger of getPageDocument().querySelectorAll('[aria-expanded="false"][aria-controls]')) {
+      trigger.getAttribute('aria-controls').split(/\s+/).filter(Boolean).forEach(id => controlledIds.add(id));
+    }
+    return { controlledIds };
+  }
+
+  // The element or nearest ancestor that is collapsed (rather than hidden as decoration), or null
+  function getCollapsedRegion(element) {
+    for (let cur = element; cur; cur = getComposedParent(cur)) {
+      if (cur.tagName === 'DETAILS' && !cur.hasAttribute('open')) {
+        const summary = cur.querySelector(':scope > summary');
+        return summary && summary.contains(element) ? null : cur;
+      }
+      if (cur.getAttribute('role') === 'tabpanel') return cur;
+      if (cur.id && collapsedScope.controlledIds.has(cur.id)) return cur;
+      if (cur.classList && cur.classList.contains('collapse') && !cur.classList.contains('show')) return cur;
+      // Accordion body following its aria-expanded="false" trigger
+      const prev = cur.previousElementSibling;
+      if (prev && (prev.getAttribute('aria-expanded') === 'false' || (prev.querySelector && prev.querySelector(':scope > [aria-expanded="false"]')))) {
+        return cur;
+      }
+    }
+    return null;
+  }
+
   /**
    * Checks if an element is hidden via CSS
    */
   function isHidden(element) {
-    const style = window.getComputedStyle(element);
+    const style = getStyle(element);
     if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') return true;
     // off-screen or collapsed
     const rect = element.getBoundingClientRect();
@@ -450,20 +3354,60 @@
 
   // Export functions for use in other modules
   window.ContentExtractor = {
+    DEFAULT_INCLUDE,
+    resolveInclude,
     extractMainContent,
+    extractFrameContent,
+    extractMultiPageContent,
+    findNextPageUrl,
+    mergeFrameResults,
+    findMainContent,
     findMainContentElement,
+    matchSiteRule,
+    resolveSiteRule,
     chunkDomToSemanticBlocks,
+    dedupeChunks,
+    buildListTree,
+    buildTableGrid,
+    buildImageChunk,
+    getImageSource,
+    getComposedChildren,
+    walkComposedElements,
+    getMathSource,
+    mathmlToTex,
+    getSearchRoots,
     hasBlockChildren,
     getCodeText,
     detectCodeLanguage,
+    normalizeCodeLanguage,
+    guessCodeLanguage,
+    findCodeTitle,
     cleanInline,
+    serializeInline,
+    escapeMarkdown,
+    resolveUrl,
     getBreadcrumb,
+    getHeadingPath,
     getSelectionInfo,
+    chunkSelectionRange,
     buildContext,
+    extractPageMetadata,
     renderMarkdown,
+    renderFrontMatter,
+    renderChunks,
+    selectRenderedChunks,
+    describeElision,
+    normalizeHeadings,
+    omitSections,
+    stripInlineMarkdown,
+    buildPassages,
+    renderList,
+    renderTable,
+    renderImage,
     filterMarkdown,
     truncateInline,
     isHidden,
+    isHiddenContent,
     getTextContentLength
   };
 })();
\ No newline at end of file
@@ -0,0 +1,170 @@
+// Extraction runner - injects the content extractor into a tab and collects the result
+// Shared by sidebar.js (loaded from sidebar.html) and background.js (loaded via importScripts)
+
+// Default page limit when stitching multi-page articles (options.followPages)
+const DEFAULT_MAX_PAGES = 5;
+
+// Default number of reader comments appended when options.includeComments is set
+const DEFAULT_MAX_COMMENTS = 50;
+
+/**
+ * Inject content-extractor.js into every frame of a tab and run the extraction.
+ * The top frame walks its own DOM, open shadow roots and same-origin iframes; cross-origin
+ * frames cannot be read from there, so each extracts itself and the results are merged
+ * back into the top frame's chunk list at the position of their <iframe>.
+ * @param {number} tabId
+ * @param {string} customFilters filter patterns passed to filterMarkdown
+ * @param {Object} [options] extraction options passed to extractMainContent (siteRules, includeCollapsed, referenceLinks,
+ *   includeComments/maxComments, tokenBudget/tokenModel, include, excludeSections);
+ *   with followPages the top frame stitches the following pages of the article (up to maxPages);
+ *   site handlers (site-handlers.js) take over on supported sites unless siteHandlers is false
+ *   (forumThreads for Q&A and forum threads);
+ *   with autoScroll the page is first scrolled and its "load more" controls clicked (see page-preloader.js);
+ *   with passages ({maxTokens, overlap}) the result also carries the retrieval passages (see buildPassages);
+ *   with format (see output-renderers.js) the result's output is rendered in that format
+ * @returns {Promise<*>} the top frame's extraction result ({markdown, chunks, context, format, output[, passages]}), or null
+ */
+async function runPageExtraction(tabId, customFilters, options = {}) {
+  // Defaults of the numeric options are resolved here for the page scripts
+  options = { ...options, maxPages: options.maxPages || DEFAULT_MAX_PAGES, maxComments: options.maxComments || DEFAULT_MAX_COMMENTS };
+  if (options.autoScroll) await preloadPageContent(tabId, options);
+
+  let allFrames = true;
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      files: ['token-counter.js', 'content-extractor.js', 'site-handlers.js', 'output-renderers.js']
+    });
+  } catch (_) {
+    // Some frames refuse injection (restricted or sandboxed documents); fall back to the top frame only
+    allFrames = false;
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['token-counter.js', 'content-extractor.js', 'site-handlers.js', 'output-renderers.js']
+    });
+  }
+
+  const results = await chrome.scripting.executeScript({
+    target: { tabId, allFrames },
+    args: [customFilters, options],
+    func: async (customFilters, options) => {
+      // This function is injected into the page and has no access to the extension's scope.
+
+      // Set custom filters in window scope for the shared filterMarkdown function
+      window.__customFilters = customFilters;
+
+      const { extractMainContent, extractFrameContent, extractMultiPageContent } = window.ContentExtractor || {};
+
+      // Sub-frames only contribute what the top frame cannot reach itself
+      if (window.top !== window) {
+        return typeof extractFrameContent === 'function' ? extractFrameContent(options) : null;
+      }
+
+      // Sites whose content lives in page data (e.g. YouTube transcripts) have dedicated handlers
+      const { extractSiteContent } = window.SiteHandlers || {};
+      if (typeof extractSiteContent === 'function') {
+        const handled = await extractSiteContent(options);
+        if (handled) return handled;
+      }
+
+      // Multi-page articles: fetch and append the following pages (resolves asynchronously)
+      if (options.followPages && typeof extractMultiPageContent === 'function') {
+        return extractMultiPageContent(options);
+      }
+
+      // Extract content using shared logic
+      if (typeof extractMainContent === 'function') {
+        return extractMainContent(options);
+      } else {
+        throw new Error('ContentExtractor.extractMainContent is not available');
+      }
+    }
+  });
+
+  if (!results || results.length === 0) return null;
+  const top = results.find(r => r.frameId === 0) || results[0];
+  let value = top.result;
+
+  const frames = results.filter(r => r !== top && r.result).map(r => r.result);
+  const hasPlaceholders = value && Array.isArray(value.chunks) && value.chunks.some(c => c.type === 'frame');
+  if (frames.length && hasPlaceholders) {
+    try {
+      const [merged] = await chrome.scripting.executeScript({
+        target: { tabId },
+        args: [value, frames, customFilters, options],
+        func: (result, frameResults, customFilters, options) => {
+          window.__customFilters = customFilters;
+          return window.ContentExtractor.mergeFrameResults(result, frameResults, options);
+        }
+      });
+      if (merged && merged.result) value = merged.result;
+    } catch (e) {
+      // Keep the top frame's result if merging fails
+      console.warn('Frame merge failed:', e);
+    }
+  }
+
+  // Passages are cut from the final (merged) chunk list, in the page where the renderers live
+  if (options.passages && value && Array.isArray(value.chunks)) {
+    const [split] = await chrome.scripting.executeScript({
+      target: { tabId },
+      args: [value.chunks, value.context, customFilters, { ...options.passages, tokenModel: options.tokenModel, include: options.include }],
+      func: (chunks, context, customFilters, passageOptions) => {
+        window.__customFilters = customFilters;
+        return window.ContentExtractor.buildPassages(chunks, context, passageOptions);
+      }
+    });
+    value = { ...value, passages: (split && split.result) || [] };
+  }
+
+  // Other output formats are rendered from the same (merged) chunk list; Markdown is already there
+  const format = options.format || 'markdown';
+  if (value && typeof value === 'object' && 'markdown' in value) {
+    let output = value.markdown;
+    let outputFormat = 'markdown';
+    if (format !== 'markdown' && Array.isArray(value.chunks)) {
+      const [rendered] = await chrome.scripting.executeScript({
+        target: { tabId },
+        args: [value.chunks, value.context, customFilters, options],
+        func: (chunks, context, customFilters, options) => {
+          window.__customFilters = customFilters;
+          return window.OutputRenderers.renderOutput(chunks, context, options);
+        }
+      });
+      if (rendered && typeof rendered.result === 'string') {
+        output = rendered.result;
+        outputFormat = format;
+      }
+    }
+    value = { ...value, format: outputFormat, output };
+  }
+
+  return value;
+}
+
+/**
+ * Load lazily rendered content in the tab's top frame before extracting: scroll the main
+ * container, click "load more" controls, wait for the DOM to settle (bounded by a timeout).
+ * Progress is shown with the in-page notifications. Failures are logged and extraction proceeds.
+ * @param {number} tabId
+ * @param {{loadMoreSelectors?:string, preloadTimeoutMs?:number}} options
+ */
+async function preloadPageContent(tabId, options) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['content-extractor.js', 'inpage-notifications.js', 'page-preloader.js']
+    });
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      args: [{ loadMoreSelectors: options.loadMoreSelectors || '', preloadTimeoutMs: options.preloadTimeoutMs }],
+      func: (preloadOptions) => {
+        // Resolves when loading has settled or timed out; the result is the preload statistics
+        const { loadLazyContent } = window.PagePreloader || {};
+        return typeof loadLazyContent === 'function' ? loadLazyContent(preloadOptions) : null;
+      }
+    });
+  } catch (e) {
+    console.warn('Loading lazy content failed:', e);
+  }
+}
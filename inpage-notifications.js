@@ -150,6 +150,22 @@
     return notification;
   }
 
+  // Show or update a progress notification that stays until hidden (or replaced by showNotification)
+  function showProgress(title, message) {
+    const existing = document.querySelector('.copilot-sidebar-notification.progress');
+    if (existing) {
+      existing.querySelector('.copilot-sidebar-notification-title').textContent = title;
+      existing.querySelector('.copilot-sidebar-notification-message').textContent = message;
+      return existing;
+    }
+    // Long duration: the caller hides it or replaces it with the final result
+    const notification = showNotification('info', '', '', 10 * 60 * 1000);
+    notification.classList.add('progress');
+    notification.querySelector('.copilot-sidebar-notification-title').textContent = title;
+    notification.querySelector('.copilot-sidebar-notification-message').textContent = message;
+    return notification;
+  }
+
   // Hide notification
   function hideNotification(notification) {
     if (!notification || !notification.parentNode) return;
@@ -186,6 +202,7 @@
   // Expose to global scope for manual usage
   window.CopilotSidebarNotifications = {
     show: showNotification,
+    progress: showProgress,
     hide: hideNotification
   };
 })();
\ No newline at end of file
@@ -0,0 +1,445 @@
+// Output Renderers - output formats over the extracted chunk model besides Markdown
+// Injected next to content-extractor.js by extraction-runner.js; loaded by sidebar.html for the format list.
+//
+// Every renderer starts from the extraction's chunks and context. The token budget, heading
+// normalization and boilerplate filters apply as for the Markdown output (see
+// ContentExtractor.selectRenderedChunks), so switching formats changes the framing, not the content.
+
+(function() {
+  'use strict';
+
+  /**
+   * Output formats in menu order.
+   * @type {Object<string, {label:string, extension:string, mimeType:string, render:function(Array, Object, Object):string}>}
+   */
+  const OUTPUT_FORMATS = {
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', render: renderMarkdownOutput },
+    text: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain', render: renderPlainText },
+    html: { label: 'HTML', extension: 'html', mimeType: 'text/html', render: renderHtml },
+    json: { label: 'JSON (context + chunks)', extension: 'json', mimeType: 'application/json', render: renderJson },
+    xml: { label: 'XML-tagged document', extension: 'xml', mimeType: 'application/xml', render: renderXmlDocument }
+  };
+
+  const DEFAULT_OUTPUT_FORMAT = 'markdown';
+
+  /**
+   * Render an extraction in options.format (a key of OUTPUT_FORMATS; Markdown when unknown).
+   * @param {Array<Object>} chunks extraction chunks (result.chunks)
+   * @param {Object} context extraction context (result.context)
+   * @param {Object} [options] extraction options (format, include, excludeSections, tokenBudget, tableOfContents, ...)
+   * @returns {string}
+   */
+  function renderOutput(chunks, context, options = {}) {
+    const format = OUTPUT_FORMATS[options.format] || OUTPUT_FORMATS[DEFAULT_OUTPUT_FORMAT];
+    context = context || {};
+    // The token budget is measured on this format's output, its framing included
+    const renderOptions = options.tokenBudget > 0
+      ? { ...options, renderForBudget: list => format.render(list, context, { ...options, tokenBudget: 0 }) }
+      : options;
+    return format.render(chunks || [], context, renderOptions);
+  }
+
+  function getExtractor() {
+    const extractor = window.ContentExtractor;
+    if (!extractor) throw new Error('ContentExtractor is not available');
+    return extractor;
+  }
+
+  function selectChunks(chunks, context, options) {
+    const extractor = getExtractor();
+    return extractor.selectRenderedChunks(chunks, extractor.resolveInclude(options), context, options);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Markdown and the XML-tagged document
+  // ---------------------------------------------------------------------------
+
+  function renderMarkdownOutput(chunks, context, options) {
+    const extractor = getExtractor();
+    const renderOptions = context.filter === false ? { ...options, filter: false } : options;
+    return extractor.renderMarkdown(chunks, extractor.resolveInclude(options), context, renderOptions);
+  }
+
+  /**
+   * The Markdown output wrapped for document-quoting prompts:
+   * <document><source>URL</source><document_content>...</document_content></document>.
+   * The content is left as Markdown, not XML-escaped, since models read it as text;
+   * only a literal closing tag inside it is neutralized.
+   */
+  function renderXmlDocument(chunks, context, options) {
+    const content = renderMarkdownOutput(chunks, context, options).trim()
+      .replace(/<\/(document_content|document)>/gi, '&lt;/$1>');
+    return [
+      '<document>',
+      `<source>${escapeHtml(context.url || '')}</source>`,
+      '<document_content>',
+      content,
+      '</document_content>',
+      '</document>'
+    ].join('\n') + '\n';
+  }
+
+  // ---------------------------------------------------------------------------
+  // JSON: the context and the chunks as rendered
+  // ---------------------------------------------------------------------------
+
+  function renderJson(chunks, context, options) {
+    const selected = selectChunks(chunks, context, options);
+    return JSON.stringify({ context, chunks: selected }, null, 2) + '\n';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Plain text: no markup; headings, list markers, quotes and indentation keep the structure
+  // ---------------------------------------------------------------------------
+
+  function renderPlainText(chunks, context, options) {
+    const extractor = getExtractor();
+    const include = extractor.resolveInclude(options);
+    const meta = context.metadata || {};
+    const header = [
+      context.title || '',
+      context.url ? `Source: ${context.url}` : '',
+      context.author ? `Author: ${context.author}` : '',
+      meta.published ? `Published: ${meta.published}` : ''
+    ].filter(Boolean);
+    const selected = selectChunks(chunks, context, options);
+    const links = collectLinks(selected);
+    const plain = markdown => plainInline(markdown, links);
+    const blocks = [];
+    renderTextBlocks(selected, include, blocks, plain);
+    return `${header.length ? `${header.join('\n')}\n\n` : ''}${blocks.join('\n\n')}\n`;
+  }
+
+  // Inline Markdown to text (through the HTML conversion, so escapes and URLs with parentheses
+  // are read the same way); footnote markers stay as "[1]", link URLs are dropped
+  function plainInline(markdown, links) {
+    const html = inlineToHtml(String(markdown || '').replace(/\[\^([^\]]+)\]/g, '\u0001$1\u0002'), links);
+    return decodeHtml(html.replace(/<br>\n/g, '\n').replace(/<[^>]*>/g, ''))
+      .replace(/\u0001/g, '[')
+      .replace(/\u0002/g, ']');
+  }
+
+  function indentLines(text, prefix) {
+    return text.split('\n').map(line => (line ? prefix + line : line)).join('\n');
+  }
+
+  function renderTextBlocks(chunks, include, blocks, plain) {
+    for (const c of chunks) {
+      if (include[c.type] === false) continue;
+      switch (c.type) {
+        case 'heading':
+        case 'paragraph':
+          blocks.push(plain(c.text));
+          break;
+        case 'list':
+          blocks.push(renderTextList(c, '', plain));
+          break;
+        case 'code':
+          blocks.push(`${c.title ? `${c.title}:\n` : ''}${indentLines(c.code, '    ')}`);
+          break;
+        case 'blockquote':
+          blocks.push(plain(c.text).split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+          break;
+        case 'table':
+          blocks.push(renderTextTable(c, plain));
+          break;
+        case 'image': {
+          const kind = c.media === 'video' ? 'Video' : 'Image';
+          blocks.push([`[${kind}${c.alt ? `: ${c.alt}` : ''}]`, plain(c.caption)].filter(Boolean).join('\n'));
+          break;
+        }
+        case 'math':
+          blocks.push(c.tex);
+          break;
+        case 'definitions':
+          blocks.push(c.items.map(item => [...item.terms.map(plain), ...item.definitions.map(def => indentLines(plain(def), '    '))].join('\n')).join('\n\n'));
+          break;
+        case 'details':
+          if (c.summary) blocks.push(plain(c.summary));
+          renderTextBlocks(c.chunks || [], include, blocks, plain);
+          break;
+        case 'figure':
+          renderTextBlocks(c.chunks || [], include, blocks, plain);
+          if (c.caption) blocks.push(plain(c.caption));
+          break;
+        case 'hr':
+          blocks.push('* * *');
+          break;
+        case 'page':
+          blocks.push(`[Page ${c.number}: ${c.url}]`);
+          break;
+        case 'comments':
+          blocks.push('Comments');
+          if (c.total > c.items.length) blocks.push(`Showing ${c.items.length} of ${c.total} comments.`);
+          c.items.forEach(item => {
+            // Replies are indented two spaces per level
+            const pad = '  '.repeat(item.depth);
+            const body = [];
+            renderTextBlocks(item.chunks, include, body, plain);
+            blocks.push(indentLines([[item.author || 'Anonymous', item.date].filter(Boolean).join(' — '), ...body].join('\n\n'), pad));
+          });
+          break;
+        case 'elided':
+          blocks.push(`[${getExtractor().describeElision(c)}]`);
+          break;
+        case 'footnotes':
+          blocks.push(c.items.map(item => `[${item.label}] ${plain(item.text)}`).join('\n'));
+          break;
+        default:
+          // Link definitions have no place without link markup
+          break;
+      }
+    }
+  }
+
+  function renderTextList(list, indent, plain) {
+    return list.items.map((item, i) => {
+      const marker = list.ordered ? `${list.start + i}.` : '-';
+      const task = item.checked === null || item.checked === undefined ? '' : (item.checked ? '[x] ' : '[ ] ');
+      const pad = indent + ' '.repeat(marker.length + 1);
+      const [first, ...rest] = plain(item.text).split('\n');
+      const lines = [`${indent}${marker} ${task}${first}`, ...rest.map(line => (line ? pad + line : ''))];
+      (item.children || []).forEach(child => lines.push(renderTextList(child, pad, plain)));
+      return lines.join('\n');
+    }).join('\n');
+  }
+
+  // Tab-separated rows; HTML fallback tables are reduced to their cell text
+  function renderTextTable(table, plain) {
+    const rows = table.html
+      ? table.html.split(/<\/tr>/i).map(row => row.split(/<\/t[dh]>/i).map(cell => decodeHtml(cell.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim()))
+        .map(cells => cells.filter((cell, i) => cell || i < cells.length - 1))
+        .filter(cells => cells.some(Boolean))
+      : [...(table.header ? [table.header] : []), ...table.rows].map(cells => cells.map(cell => plain(cell).replace(/\s+/g, ' ')));
+    return [table.caption ? plain(table.caption) : '', ...rows.map(cells => cells.join('\t'))].filter(Boolean).join('\n');
+  }
+
+  // ---------------------------------------------------------------------------
+  // HTML: a standalone semantic document (article, headings with ids, figures, footnotes)
+  // ---------------------------------------------------------------------------
+
+  function renderHtml(chunks, context, options) {
+    const extractor = getExtractor();
+    const selected = selectChunks(chunks, context, options);
+    const links = collectLinks(selected);
+    const inline = markdown => inlineToHtml(markdown, links);
+
+    const meta = context.metadata || {};
+    const head = [
+      '<meta charset="utf-8">',
+      `<title>${escapeHtml(context.title || '')}</title>`,
+      `<link rel="canonical" href="${escapeHtml(meta.canonical || context.url || '')}">`,
+      context.author ? `<meta name="author" content="${escapeHtml(context.author)}">` : '',
+      meta.description ? `<meta name="description" content="${escapeHtml(meta.description)}">` : '',
+      meta.published ? `<meta name="date" content="${escapeHtml(meta.published)}">` : ''
+    ].filter(Boolean);
+    const body = [];
+    renderHtmlBlocks(selected, extractor.resolveInclude(options), body, inline);
+    return [
+      '<!DOCTYPE html>',
+      `<html${meta.language ? ` lang="${escapeHtml(meta.language)}"` : ''}>`,
+      '<head>',
+      ...head,
+      '</head>',
+      '<body>',
+      '<article>',
+      ...body,
+      '</article>',
+      '</body>',
+      '</html>'
+    ].join('\n') + '\n';
+  }
+
+  function renderHtmlBlocks(chunks, include, out, inline) {
+    for (const c of chunks) {
+      if (include[c.type] === false) continue;
+      switch (c.type) {
+        case 'heading': {
+          const level = Math.min(6, c.level);
+          out.push(`<h${level}${c.slug ? ` id="${escapeHtml(c.slug)}"` : ''}>${inline(c.text)}</h${level}>`);
+          break;
+        }
+        case 'paragraph':
+          out.push(`<p>${inline(c.text)}</p>`);
+          break;
+        case 'list':
+          out.push(renderHtmlList(c, inline));
+          break;
+        case 'code': {
+          const code = `<pre><code${c.lang ? ` class="language-${escapeHtml(c.lang)}"` : ''}>${escapeHtml(c.code)}</code></pre>`;
+          out.push(c.title ? `<figure>\n<figcaption>${escapeHtml(c.title)}</figcaption>\n${code}\n</figure>` : code);
+          break;
+        }
+        case 'blockquote':
+          out.push(`<blockquote>\n${htmlParagraphs(c.text, inline)}\n</blockquote>`);
+          break;
+        case 'table':
+          out.push(c.html || renderHtmlTable(c, inline));
+          break;
+        case 'image':
+          out.push(renderHtmlImage(c, inline));
+          break;
+        case 'math':
+          out.push(c.display ? `<div class="math">\\[${escapeHtml(c.tex)}\\]</div>` : `<p class="math">\\(${escapeHtml(c.tex)}\\)</p>`);
+          break;
+        case 'definitions':
+          out.push(['<dl>', ...c.items.flatMap(item => [
+            ...item.terms.map(term => `<dt>${inline(term)}</dt>`),
+            ...item.definitions.map(def => `<dd>${inline(def)}</dd>`)
+          ]), '</dl>'].join('\n'));
+          break;
+        case 'details':
+          out.push(`<details${c.open ? ' open' : ''}>`, `<summary>${inline(c.summary)}</summary>`);
+          renderHtmlBlocks(c.chunks || [], include, out, inline);
+          out.push('</details>');
+          break;
+        case 'figure':
+          out.push('<figure>');
+          renderHtmlBlocks(c.chunks || [], include, out, inline);
+          if (c.caption) out.push(`<figcaption>${inline(c.caption)}</figcaption>`);
+          out.push('</figure>');
+          break;
+        case 'hr':
+          out.push('<hr>');
+          break;
+        case 'page':
+          out.push(`<!-- page ${c.number}: ${String(c.url || '').replace(/--/g, '%2D%2D')} -->`);
+          break;
+        case 'comments':
+          out.push('<section class="comments">', '<h2>Comments</h2>');
+          if (c.total > c.items.length) out.push(`<p><em>Showing ${c.items.length} of ${c.total} comments.</em></p>`);
+          c.items.forEach(item => {
+            const level = Math.min(6, 3 + item.depth);
+            const date = item.date ? ` — <time datetime="${escapeHtml(item.date)}">${escapeHtml(item.date)}</time>` : '';
+            out.push(`<article class="comment" data-depth="${item.depth}">`, `<h${level}>${escapeHtml(item.author || 'Anonymous')}${date}</h${level}>`);
+            renderHtmlBlocks(item.chunks.filter(b => b.type !== 'heading'), include, out, inline);
+            out.push('</article>');
+          });
+          out.push('</section>');
+          break;
+        case 'elided':
+          out.push(`<p class="elided"><em>[${escapeHtml(getExtractor().describeElision(c))}]</em></p>`);
+          break;
+        case 'footnotes':
+          out.push('<section class="footnotes">', '<ol>',
+            ...c.items.map(item => `<li id="fn-${escapeHtml(item.label)}">${inline(item.text)} <a href="#fnref-${escapeHtml(item.label)}">↩</a></li>`),
+            '</ol>', '</section>');
+          break;
+        default:
+          // Link definitions are resolved inline
+          break;
+      }
+    }
+  }
+
+  function renderHtmlList(list, inline) {
+    const tag = list.ordered ? 'ol' : 'ul';
+    const start = list.ordered && list.start !== 1 ? ` start="${list.start}"` : '';
+    const items = list.items.map(item => {
+      const task = item.checked === null || item.checked === undefined ? '' : `<input type="checkbox" disabled${item.checked ? ' checked' : ''}> `;
+      const children = (item.children || []).map(child => `\n${renderHtmlList(child, inline)}\n`).join('');
+      return `<li>${task}${inline(item.text)}${children}</li>`;
+    });
+    return [`<${tag}${start}>`, ...items, `</${tag}>`].join('\n');
+  }
+
+  function renderHtmlTable(table, inline) {
+    const row = (cells, cell) => `<tr>${cells.map(text => `<${cell}>${inline(text)}</${cell}>`).join('')}</tr>`;
+    return [
+      '<table>',
+      table.caption ? `<caption>${inline(table.caption)}</caption>` : '',
+      table.header ? `<thead>\n${row(table.header, 'th')}\n</thead>` : '',
+      '<tbody>',
+      ...table.rows.map(cells => row(cells, 'td')),
+      '</tbody>',
+      '</table>'
+    ].filter(Boolean).join('\n');
+  }
+
+  function renderHtmlImage(image, inline) {
+    const size = `${image.width ? ` width="${image.width}"` : ''}${image.height ? ` height="${image.height}"` : ''}`;
+    let media;
+    if (image.media === 'video') {
+      media = `<video controls${image.src ? ` src="${escapeHtml(image.src)}"` : ''}${image.poster ? ` poster="${escapeHtml(image.poster)}"` : ''}${size}>${escapeHtml(image.alt || '')}</video>`;
+    } else if (image.src) {
+      media = `<img src="${escapeHtml(image.src)}" alt="${escapeHtml(image.alt || '')}"${size}>`;
+    } else {
+      // Inline SVGs carry no URL; keep their label
+      media = `<span role="img" aria-label="${escapeHtml(image.alt || '')}">[Image: ${escapeHtml(image.alt || 'inline graphic')}]</span>`;
+    }
+    return image.caption ? `<figure>\n${media}\n<figcaption>${inline(image.caption)}</figcaption>\n</figure>` : `<p>${media}</p>`;
+  }
+
+  // Blank-line separated paragraphs (quotes and other multi-paragraph inline text)
+  function htmlParagraphs(text, inline) {
+    return String(text || '').split(/\n{2,}/).filter(p => p.trim()).map(p => `<p>${inline(p)}</p>`).join('\n');
+  }
+
+  // Reference-style link targets (label -> URL) from the links chunk
+  function collectLinks(chunks) {
+    const links = new Map();
+    chunks.filter(c => c.type === 'links').forEach(c => c.items.forEach(item => links.set(String(item.label), item.url)));
+    return links;
+  }
+
+  // Code spans and backslash escapes, matched left to right so neither is read inside the other
+  const INLINE_LITERALS = /(`+)([\s\S]+?)\1(?!`)|\\([\\`*_{}[\]()#+\-.!|<>~])/g;
+  // Link destination, allowing one level of balanced parentheses (Wikipedia URLs)
+  const LINK_DESTINATION = '((?:[^()\\s]|\\([^()\\s]*\\))+)';
+  const IMAGE_PATTERN = new RegExp(`!\\[([^\\]]*)\\]\\(${LINK_DESTINATION}\\)`, 'g');
+  const LINK_PATTERN = new RegExp(`\\[([^\\]]+)\\]\\(${LINK_DESTINATION}\\)`, 'g');
+
+  /**
+   * Convert the inline Markdown the serializer writes (links, images, emphasis, code spans,
+   * footnote markers, <sup>/<sub>/<kbd>/<br>, backslash escapes) to HTML.
+   * Reference-style links are resolved through `links` (label -> URL).
+   */
+  function inlineToHtml(markdown, links) {
+    const held = [];
+    const hold = html => `\u0000${held.push(html) - 1}\u0000`;
+    const text = escapeHtml(String(markdown || '').replace(INLINE_LITERALS, (m, fence, code, escaped) => (
+      escaped ? hold(escapeHtml(escaped)) : hold(`<code>${escapeHtml(code.replace(/^ ([\s\S]*) $/, '$1'))}</code>`)
+    )))
+      .replace(/&lt;(\/?)(sup|sub|kbd)&gt;/g, '<$1$2>')
+      .replace(/&lt;br&gt;/g, '<br>')
+      .replace(IMAGE_PATTERN, (m, alt, src) => (isSafeUrl(src) ? hold(`<img src="${src}" alt="${alt}">`) : alt))
+      .replace(/\[\^([^\]]+)\]/g, (m, label) => hold(`<sup id="fnref-${label}"><a href="#fn-${label}">${label}</a></sup>`))
+      .replace(LINK_PATTERN, (m, label, href) => (isSafeUrl(href) ? `<a href="${href}">${label}</a>` : label))
+      .replace(/\[([^\]]+)\]\[([^\]]+)\]/g, (m, label, ref) => {
+        if (!links.has(ref)) return m;
+        return isSafeUrl(links.get(ref)) ? `<a href="${escapeHtml(links.get(ref))}">${label}</a>` : label;
+      })
+      .replace(/\*\*([\s\S]+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/~~([\s\S]+?)~~/g, '<del>$1</del>')
+      .replace(/\*([^*\s](?:[\s\S]*?[^*\s])?)\*/g, '<em>$1</em>')
+      .replace(/\n/g, '<br>\n');
+    return text.replace(/\u0000(\d+)\u0000/g, (m, i) => held[i]);
+  }
+
+  // Link and image destinations kept in HTML: http(s), mailto, and relative or fragment URLs.
+  // Bodies taken verbatim from site APIs (Reddit, GitHub) never went through resolveUrl,
+  // so script and other schemes are rendered as plain text instead.
+  function isSafeUrl(url) {
+    // Browsers ignore control characters and whitespace when reading the scheme
+    const value = String(url || '').replace(/[\u0000-\u0020\u007f]+/g, '');
+    const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || /^(https?|mailto)$/i.test(scheme[1]);
+  }
+
+  function escapeHtml(text) {
+    return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  function decodeHtml(text) {
+    return text.replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+  }
+
+  // Export for extraction-runner.js and the sidebar
+  window.OutputRenderers = {
+    OUTPUT_FORMATS,
+    DEFAULT_OUTPUT_FORMAT,
+    renderOutput,
+    inlineToHtml,
+    escapeHtml
+  };
+})();
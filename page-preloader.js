@@ -0,0 +1,203 @@
+// Page Preloader - loads lazily rendered content before extraction
+// Injected into the top frame by extraction-runner.js when options.autoScroll is set.
+//
+// - Scrolls the main content's scroll container (or the page) to the bottom in viewport steps,
+//   so infinite-scroll feeds and lazily rendered sections append their content
+// - After every step waits for DOM mutations to settle
+// - Clicks "load more" / "show more" / "expand" buttons (built-in list or user selectors) once each
+// - Stops when nothing changes any more, or at the timeout; restores the scroll position
+// - Reports progress through the in-page notification system (inpage-notifications.js)
+
+(function() {
+  'use strict';
+
+  const DEFAULT_TIMEOUT_MS = 15000;
+  const SETTLE_QUIET_MS = 400;
+  const SETTLE_MAX_MS = 2500;
+
+  // Built-in "load more" controls, used when the user has not configured selectors
+  const DEFAULT_LOAD_MORE_SELECTORS = [
+    '.load-more', '.load-more-button', '[class*="load-more"]', '[class*="loadMore"]',
+    '[class*="show-more"]', '[class*="showMore"]', '[data-testid*="load-more" i]', '[data-testid*="show-more" i]',
+    '.morecomments a', '.more-comments', 'button.js-expand', '.ajax-pagination-btn'
+  ];
+
+  // Button labels that load or reveal more of the same content
+  const LOAD_MORE_TEXT = /^(?:(?:load|show|view|see|read)\s+(?:\d+\s+)?(?:more|all|older|previous|earlier)\b|more\s+(?:comments|replies|answers|results|posts)\b|(?:expand|show)\s+(?:all|thread|replies|comments)\b|\d+\s+more\s+(?:replies|comments|answers)\b)/i;
+
+  /**
+   * Load lazy content by scrolling and clicking "load more" controls.
+   * @param {{loadMoreSelectors?:(string|string[]), preloadTimeoutMs?:number}} [options]
+   *   loadMoreSelectors: CSS selectors of controls to click, one per line ("#" comments allowed)
+   * @returns {Promise<{rounds:number, clicks:number, addedNodes:number, timedOut:boolean}>}
+   */
+  async function loadLazyContent(options = {}) {
+    const timeout = options.preloadTimeoutMs > 0 ? options.preloadTimeoutMs : DEFAULT_TIMEOUT_MS;
+    const deadline = Date.now() + timeout;
+    const selectors = parseSelectors(options.loadMoreSelectors);
+    const scroller = findScrollContainer();
+    const startTop = scroller.scrollTop;
+    const clicked = new WeakSet();
+
+    let addedNodes = 0;
+    let lastMutation = Date.now();
+    const observer = new MutationObserver((mutations) => {
+      // Our own progress notification is not page content
+      const pageMutations = mutations.filter(m => !isNotificationNode(m.target) &&
+        !Array.from(m.addedNodes).concat(Array.from(m.removedNodes)).some(isNotificationNode));
+      if (!pageMutations.length) return;
+      for (const m of pageMutations) addedNodes += m.addedNodes.length;
+      lastMutation = Date.now();
+    });
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+
+    const stats = { rounds: 0, clicks: 0, addedNodes: 0, timedOut: false };
+    const report = () => showProgress('Loading page content…',
+      `Pass ${stats.rounds} · ${stats.clicks} “load more” click${stats.clicks === 1 ? '' : 's'} · ${addedNodes} new elements`);
+
+    try {
+      report();
+      while (Date.now() < deadline) {
+        stats.rounds++;
+        const heightBefore = scroller.scrollHeight;
+        const addedBefore = addedNodes;
+
+        // Scroll down a viewport at a time so intersection-based loaders see every section
+        const step = Math.max(200, Math.round(getViewportHeight(scroller) * 0.9));
+        while (Date.now() < deadline && scroller.scrollTop + getViewportHeight(scroller) < scroller.scrollHeight - 2) {
+          const top = scroller.scrollTop;
+          scroller.scrollTop = top + step;
+          await delay(120);
+          if (scroller.scrollTop === top) break; // cannot scroll any further
+        }
+        await waitForSettle(() => lastMutation, deadline);
+
+        // Click controls that load or reveal more content, once each
+        for (const control of findLoadMoreControls(selectors)) {
+          if (Date.now() >= deadline) break;
+          if (clicked.has(control)) continue;
+          clicked.add(control);
+          control.click();
+          stats.clicks++;
+          report();
+          await waitForSettle(() => lastMutation, deadline);
+        }
+
+        report();
+        const grew = scroller.scrollHeight > heightBefore || addedNodes > addedBefore;
+        if (!grew) break;
+      }
+      stats.timedOut = Date.now() >= deadline;
+    } finally {
+      observer.disconnect();
+      scroller.scrollTop = startTop;
+      stats.addedNodes = addedNodes;
+    }
+
+    const summary = `${stats.rounds} pass${stats.rounds === 1 ? '' : 'es'}, ${stats.clicks} click${stats.clicks === 1 ? '' : 's'}, ${addedNodes} new elements`;
+    if (stats.timedOut) {
+      showResult('warning', 'Stopped loading content', `Timed out after ${Math.round(timeout / 1000)}s (${summary}); extracting what is loaded.`);
+    } else {
+      showResult('info', 'Page content loaded', `${summary}; extracting…`);
+    }
+    return stats;
+  }
+
+  // One selector per line (or an array); "#" lines are comments. Falls back to the built-in list.
+  function parseSelectors(value) {
+    const list = (Array.isArray(value) ? value : String(value || '').split('\n'))
+      .map(line => String(line).trim())
+      .filter(line => line && !line.startsWith('#'));
+    return list.length ? list : DEFAULT_LOAD_MORE_SELECTORS;
+  }
+
+  /**
+   * Visible, enabled controls that load more content: matches of the selectors plus buttons
+   * whose label reads like "Load more" / "Show 12 more replies". Links that would navigate
+   * away from the page are never clicked.
+   */
+  function findLoadMoreControls(selectors) {
+    const controls = new Set();
+    for (const selector of selectors) {
+      try {
+        document.querySelectorAll(selector).forEach(el => controls.add(el));
+      } catch (e) {
+        console.warn('Invalid load-more selector:', selector, e);
+      }
+    }
+    document.querySelectorAll('button, [role="button"], a:not([href]), a[href="#"], a[href^="javascript:"], summary').forEach(el => {
+      const label = (el.getAttribute('aria-label') || el.textContent || '').replace(/\s+/g, ' ').trim();
+      if (label.length <= 60 && LOAD_MORE_TEXT.test(label)) controls.add(el);
+    });
+    return Array.from(controls).filter(el => isClickable(el));
+  }
+
+  function isClickable(el) {
+    if (el.disabled || el.getAttribute('aria-disabled') === 'true') return false;
+    if (isNotificationNode(el)) return false;
+    // Submitting a form or following a link would leave the page
+    if (el.tagName === 'BUTTON' && el.form && (el.getAttribute('type') || 'submit') === 'submit') return false;
+    if (el.tagName === 'A') {
+      const href = el.getAttribute('href');
+      if (href && href !== '#' && !/^javascript:/i.test(href)) return false;
+    }
+    const style = window.getComputedStyle(el);
+    if (style.display === 'none' || style.visibility === 'hidden') return false;
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  }
+
+  function isNotificationNode(node) {
+    const el = node && node.nodeType === Node.ELEMENT_NODE ? node : node && node.parentElement;
+    return !!(el && el.closest('.copilot-sidebar-notification, #copilot-sidebar-notification-styles'));
+  }
+
+  // Scrollable ancestor of the main content (apps that scroll an inner pane), else the page
+  function findScrollContainer() {
+    const page = document.scrollingElement || document.documentElement;
+    const extractor = window.ContentExtractor;
+    const main = extractor && typeof extractor.findMainContentElement === 'function' ? extractor.findMainContentElement() : null;
+    for (let el = main; el && el !== document.body && el !== document.documentElement; el = el.parentElement) {
+      const overflowY = window.getComputedStyle(el).overflowY;
+      if ((overflowY === 'auto' || overflowY === 'scroll') && el.scrollHeight > el.clientHeight + 20) return el;
+    }
+    return page;
+  }
+
+  function getViewportHeight(scroller) {
+    return scroller === document.scrollingElement || scroller === document.documentElement
+      ? window.innerHeight
+      : scroller.clientHeight;
+  }
+
+  // Resolve once no mutation happened for SETTLE_QUIET_MS (at most SETTLE_MAX_MS, never past the deadline)
+  async function waitForSettle(getLastMutation, deadline) {
+    const start = Date.now();
+    const limit = Math.min(deadline, start + SETTLE_MAX_MS);
+    await delay(SETTLE_QUIET_MS);
+    while (Date.now() < limit && Date.now() - getLastMutation() < SETTLE_QUIET_MS) {
+      await delay(100);
+    }
+  }
+
+  function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function showProgress(title, message) {
+    const notifications = window.CopilotSidebarNotifications;
+    if (notifications && typeof notifications.progress === 'function') notifications.progress(title, message);
+  }
+
+  function showResult(type, title, message) {
+    const notifications = window.CopilotSidebarNotifications;
+    if (notifications && typeof notifications.show === 'function') notifications.show(type, title, message, 2500);
+  }
+
+  // Export for extraction-runner.js
+  window.PagePreloader = {
+    loadLazyContent,
+    findLoadMoreControls,
+    DEFAULT_LOAD_MORE_SELECTORS
+  };
+})();
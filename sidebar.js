@@ -33,9 +33,45 @@ const notificationArea = document.getElementById('notification-area');
 const filterListElement = document.getElementById('filter-list');
 const saveFiltersBtn = document.getElementById('save-filters');
 const resetFiltersBtn = document.getElementById('reset-filters');
+const siteRuleSelect = document.getElementById('site-rule-select');
+const siteRulePatternInput = document.getElementById('site-rule-pattern');
+const siteRuleRootInput = document.getElementById('site-rule-root');
+const siteRuleRemoveInput = document.getElementById('site-rule-remove');
+const siteRuleTitleInput = document.getElementById('site-rule-title');
+const siteRuleAuthorInput = document.getElementById('site-rule-author');
+const newSiteRuleBtn = document.getElementById('new-site-rule');
+const saveSiteRuleBtn = document.getElementById('save-site-rule');
+const deleteSiteRuleBtn = document.getElementById('delete-site-rule');
+const testSiteRuleBtn = document.getElementById('test-site-rule');
+const includeCollapsedCheckbox = document.getElementById('include-collapsed');
+const referenceLinksCheckbox = document.getElementById('reference-links');
+const siteHandlersCheckbox = document.getElementById('site-handlers');
+const forumThreadsCheckbox = document.getElementById('forum-threads');
+const tableOfContentsCheckbox = document.getElementById('table-of-contents');
+const includeCommentsCheckbox = document.getElementById('include-comments');
+const maxCommentsInput = document.getElementById('max-comments');
+const followPagesCheckbox = document.getElementById('follow-pages');
+const maxPagesInput = document.getElementById('max-pages');
+const autoScrollCheckbox = document.getElementById('auto-scroll');
+const loadMoreSelectorsInput = document.getElementById('load-more-selectors');
+const outputFormatSelect = document.getElementById('output-format');
+const blockTypeCheckboxes = Array.from(document.querySelectorAll('#block-types input[data-block-type]'));
+const sectionOutline = document.getElementById('section-outline');
+const sectionList = document.getElementById('section-list');
+const copySectionsBtn = document.getElementById('copy-sections');
+const tokenModelSelect = document.getElementById('token-model');
+const tokenBudgetInput = document.getElementById('token-budget');
+const tokenStatsTable = document.getElementById('token-stats');
+const passageTokensInput = document.getElementById('passage-tokens');
+const passageOverlapInput = document.getElementById('passage-overlap');
+const copyJsonlBtn = document.getElementById('copy-jsonl');
+const downloadJsonlBtn = document.getElementById('download-jsonl');
 
 let currentUrl = '';
 let currentTitle = '';
+let siteRules = [];
+// Last extraction shown in the output area ({result, options, customFilters}), re-rendered by the section picker
+let lastExtraction = null;
 
 // Function to display notifications
 function showNotification(message, isError = false) {
@@ -47,6 +83,8 @@ function showNotification(message, isError = false) {
 function clearOldState() {
     notificationArea.style.display = 'none';
     outputArea.value = '';
+    tokenStatsTable.hidden = true;
+    sectionOutline.hidden = true;
 }
 
 // Function to update the displayed URL and related information
@@ -64,7 +102,8 @@ function updateUrlDisplay(url, title) {
 }
 
 // Function to extract content from the current webpage
-async function extractPageContent() {
+// `overrides` replaces stored extraction options (used to test an unsaved site rule)
+async function extractPageContent(overrides = {}) {
   try {
     const tabs = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
     if (!tabs || tabs.length === 0) {
@@ -78,46 +117,48 @@ async function extractPageContent() {
     const { filterPatterns } = await chrome.storage.sync.get('filterPatterns');
     const patterns = filterPatterns || DEFAULT_FILTERS;
     
-    // First inject the content-extractor.js script
-    await chrome.scripting.executeScript({
-      target: { tabId: activeTab.id },
-      files: ['content-extractor.js']
-    });
+    // Per-site extraction rules and extraction options
+    const { siteRules: storedRules, includeCollapsed, referenceLinks, siteHandlers, forumThreads, tableOfContents, includeComments, maxComments, followPages, maxPages, autoScroll, loadMoreSelectors, tokenModel, tokenBudget, outputFormat, includeBlocks } =
+      await chrome.storage.sync.get(['siteRules', 'includeCollapsed', 'referenceLinks', 'siteHandlers', 'forumThreads', 'tableOfContents', 'includeComments', 'maxComments', 'followPages', 'maxPages', 'autoScroll', 'loadMoreSelectors', 'tokenModel', 'tokenBudget', 'outputFormat', 'includeBlocks']);
+    const model = tokenModel || TokenCounter.DEFAULT_MODEL_FAMILY;
+    const options = {
+      siteRules: Array.isArray(storedRules) ? storedRules : [],
+      includeCollapsed: includeCollapsed === true,
+      referenceLinks: referenceLinks === true,
+      siteHandlers: siteHandlers !== false,
+      forumThreads: forumThreads !== false,
+      tableOfContents: tableOfContents === true,
+      includeComments: includeComments === true,
+      maxComments: maxComments || DEFAULT_MAX_COMMENTS,
+      followPages: followPages === true,
+      maxPages: maxPages || DEFAULT_MAX_PAGES,
+      autoScroll: autoScroll === true,
+      loadMoreSelectors: loadMoreSelectors || '',
+      tokenModel: model,
+      // The budget covers the whole copied prompt, so the custom prompt's share is reserved
+      tokenBudget: tokenBudget > 0 ? Math.max(1, tokenBudget - TokenCounter.estimateTokens(getPromptPrefix(), model)) : 0,
+      format: outputFormat || OutputRenderers.DEFAULT_OUTPUT_FORMAT,
+      // Block types switched off in the sidebar ({table: false, ...})
+      include: includeBlocks && typeof includeBlocks === 'object' ? includeBlocks : undefined,
+      ...overrides
+    };
     
-    const results = await chrome.scripting.executeScript({
-      target: { tabId: activeTab.id },
-      args: [patterns],
-      func: (customFilters) => {
-        // Store custom filters globally first
-        window.__customFilters = customFilters;
-        
-        // Use the shared content extraction logic
-        const { extractMainContent } = window.ContentExtractor || {};
-        
-        // Extract content using shared logic
-        if (typeof extractMainContent === 'function') {
-          return extractMainContent();
-        } else {
-          throw new Error('ContentExtractor.extractMainContent is not available');
-        }
-      }
-    });
+    // Inject content-extractor.js into all frames and run the extraction (see extraction-runner.js)
+    const value = await runPageExtraction(activeTab.id, patterns, options);
     
-    if (results && results.length > 0) {
-      const value = results[0].result;
-      // Normalize return: prefer structured {markdown, chunks, context}; fallback to string
-      if (value && typeof value === 'object' && 'markdown' in value) {
-        return value;
-      }
-      if (typeof value === 'string') {
-        return { markdown: value, chunks: [], context: {
-          url: activeTab.url || '',
-          title: activeTab.title || '',
-          timestamp: new Date().toISOString(),
-          selection: { hasSelection: false, text: '', startOffset: 0, endOffset: 0 },
-          breadcrumbs: []
-        }};
-      }
+    // Normalize return: prefer structured {markdown, chunks, context, output}; fallback to string
+    // The options and filters are kept so the section picker can re-render the same extraction
+    if (value && typeof value === 'object' && 'markdown' in value) {
+      return { ...value, options, customFilters: patterns };
+    }
+    if (typeof value === 'string') {
+      return { markdown: value, chunks: [], context: {
+        url: activeTab.url || '',
+        title: activeTab.title || '',
+        timestamp: new Date().toISOString(),
+        selection: { hasSelection: false, text: '', startOffset: 0, endOffset: 0 },
+        breadcrumbs: []
+      }};
     }
     
     return null;
@@ -262,13 +303,285 @@ function resetFilters() {
   saveFilters();
 }
 
+// Load extraction options from chrome.storage
+function loadExtractionOptions() {
+  chrome.storage.sync.get(['includeCollapsed', 'referenceLinks', 'siteHandlers', 'forumThreads', 'tableOfContents', 'includeComments', 'maxComments', 'followPages', 'maxPages', 'autoScroll', 'loadMoreSelectors', 'tokenModel', 'tokenBudget', 'passageTokens', 'passageOverlap', 'outputFormat', 'includeBlocks'], (data) => {
+    includeCollapsedCheckbox.checked = data.includeCollapsed === true;
+    referenceLinksCheckbox.checked = data.referenceLinks === true;
+    siteHandlersCheckbox.checked = data.siteHandlers !== false;
+    forumThreadsCheckbox.checked = data.forumThreads !== false;
+    tableOfContentsCheckbox.checked = data.tableOfContents === true;
+    includeCommentsCheckbox.checked = data.includeComments === true;
+    maxCommentsInput.value = data.maxComments || DEFAULT_MAX_COMMENTS;
+    followPagesCheckbox.checked = data.followPages === true;
+    maxPagesInput.value = data.maxPages || DEFAULT_MAX_PAGES;
+    autoScrollCheckbox.checked = data.autoScroll === true;
+    loadMoreSelectorsInput.value = data.loadMoreSelectors || '';
+    const includeBlocks = data.includeBlocks || {};
+    blockTypeCheckboxes.forEach(checkbox => {
+      checkbox.checked = includeBlocks[checkbox.dataset.blockType] !== false;
+    });
+    outputFormatSelect.innerHTML = '';
+    Object.entries(OutputRenderers.OUTPUT_FORMATS).forEach(([key, format]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = format.label;
+      outputFormatSelect.appendChild(option);
+    });
+    outputFormatSelect.value = OutputRenderers.OUTPUT_FORMATS[data.outputFormat] ? data.outputFormat : OutputRenderers.DEFAULT_OUTPUT_FORMAT;
+    tokenModelSelect.innerHTML = '';
+    Object.entries(TokenCounter.MODEL_FAMILIES).forEach(([key, family]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = family.label;
+      tokenModelSelect.appendChild(option);
+    });
+    tokenModelSelect.value = TokenCounter.MODEL_FAMILIES[data.tokenModel] ? data.tokenModel : TokenCounter.DEFAULT_MODEL_FAMILY;
+    tokenBudgetInput.value = data.tokenBudget || 0;
+    passageTokensInput.value = data.passageTokens || 512;
+    passageOverlapInput.value = typeof data.passageOverlap === 'number' ? data.passageOverlap : 64;
+  });
+}
+
+includeCollapsedCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ includeCollapsed: includeCollapsedCheckbox.checked });
+});
+
+referenceLinksCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ referenceLinks: referenceLinksCheckbox.checked });
+});
+
+siteHandlersCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ siteHandlers: siteHandlersCheckbox.checked });
+});
+
+forumThreadsCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ forumThreads: forumThreadsCheckbox.checked });
+});
+
+tableOfContentsCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ tableOfContents: tableOfContentsCheckbox.checked });
+});
+
+includeCommentsCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ includeComments: includeCommentsCheckbox.checked });
+});
+
+maxCommentsInput.addEventListener('change', () => {
+  const maxComments = Math.max(1, Math.min(500, parseInt(maxCommentsInput.value, 10) || DEFAULT_MAX_COMMENTS));
+  maxCommentsInput.value = maxComments;
+  chrome.storage.sync.set({ maxComments });
+});
+
+followPagesCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ followPages: followPagesCheckbox.checked });
+});
+
+maxPagesInput.addEventListener('change', () => {
+  const maxPages = Math.max(2, Math.min(20, parseInt(maxPagesInput.value, 10) || DEFAULT_MAX_PAGES));
+  maxPagesInput.value = maxPages;
+  chrome.storage.sync.set({ maxPages });
+});
+
+autoScrollCheckbox.addEventListener('change', () => {
+  chrome.storage.sync.set({ autoScroll: autoScrollCheckbox.checked });
+});
+
+loadMoreSelectorsInput.addEventListener('change', () => {
+  chrome.storage.sync.set({ loadMoreSelectors: loadMoreSelectorsInput.value });
+});
+
+blockTypeCheckboxes.forEach(checkbox => {
+  checkbox.addEventListener('change', () => {
+    const includeBlocks = {};
+    blockTypeCheckboxes.forEach(cb => { includeBlocks[cb.dataset.blockType] = cb.checked; });
+    chrome.storage.sync.set({ includeBlocks });
+  });
+});
+
+outputFormatSelect.addEventListener('change', () => {
+  chrome.storage.sync.set({ outputFormat: outputFormatSelect.value });
+});
+
+tokenModelSelect.addEventListener('change', () => {
+  chrome.storage.sync.set({ tokenModel: tokenModelSelect.value });
+  if (outputArea.value && !tokenStatsTable.hidden) renderTokenStats(outputArea.value);
+});
+
+tokenBudgetInput.addEventListener('change', () => {
+  const tokenBudget = Math.max(0, parseInt(tokenBudgetInput.value, 10) || 0);
+  tokenBudgetInput.value = tokenBudget;
+  chrome.storage.sync.set({ tokenBudget });
+  if (outputArea.value && !tokenStatsTable.hidden) renderTokenStats(outputArea.value);
+});
+
+passageTokensInput.addEventListener('change', () => {
+  const passageTokens = Math.max(64, Math.min(8192, parseInt(passageTokensInput.value, 10) || 512));
+  passageTokensInput.value = passageTokens;
+  chrome.storage.sync.set({ passageTokens });
+});
+
+passageOverlapInput.addEventListener('change', () => {
+  const passageOverlap = Math.max(0, Math.min(4096, parseInt(passageOverlapInput.value, 10) || 0));
+  passageOverlapInput.value = passageOverlap;
+  chrome.storage.sync.set({ passageOverlap });
+});
+
+// Load site rules from chrome.storage and refresh the rule picker
+function loadSiteRules(selectIndex = -1) {
+  chrome.storage.sync.get('siteRules', (data) => {
+    siteRules = Array.isArray(data.siteRules) ? data.siteRules : [];
+    renderSiteRuleOptions(selectIndex);
+  });
+}
+
+function renderSiteRuleOptions(selectIndex = -1) {
+  siteRuleSelect.innerHTML = '';
+  const blank = document.createElement('option');
+  blank.value = '-1';
+  blank.textContent = '— New rule —';
+  siteRuleSelect.appendChild(blank);
+  siteRules.forEach((rule, i) => {
+    const option = document.createElement('option');
+    option.value = String(i);
+    option.textContent = rule.pattern;
+    siteRuleSelect.appendChild(option);
+  });
+  siteRuleSelect.value = String(selectIndex);
+  fillSiteRuleForm(siteRules[selectIndex] || null);
+}
+
+function fillSiteRuleForm(rule) {
+  siteRulePatternInput.value = rule ? rule.pattern || '' : '';
+  siteRuleRootInput.value = rule ? rule.root || '' : '';
+  siteRuleRemoveInput.value = rule && Array.isArray(rule.remove) ? rule.remove.join('\n') : '';
+  siteRuleTitleInput.value = rule ? rule.title || '' : '';
+  siteRuleAuthorInput.value = rule ? rule.author || '' : '';
+}
+
+// Read the editor into a rule object; empty fields are omitted
+function readSiteRuleForm() {
+  const rule = { pattern: siteRulePatternInput.value.trim() };
+  const root = siteRuleRootInput.value.trim();
+  const remove = siteRuleRemoveInput.value.split('\n').map(l => l.trim()).filter(Boolean);
+  const title = siteRuleTitleInput.value.trim();
+  const author = siteRuleAuthorInput.value.trim();
+  if (root) rule.root = root;
+  if (remove.length) rule.remove = remove;
+  if (title) rule.title = title;
+  if (author) rule.author = author;
+  return rule;
+}
+
+// Save the rule being edited (new or existing) to chrome.storage
+function saveSiteRule() {
+  const rule = readSiteRuleForm();
+  if (!rule.pattern) {
+    showNotification('A site rule needs a hostname or URL pattern.', true);
+    return;
+  }
+  let index = parseInt(siteRuleSelect.value, 10);
+  if (index >= 0 && index < siteRules.length) {
+    siteRules[index] = rule;
+  } else {
+    siteRules.push(rule);
+    index = siteRules.length - 1;
+  }
+  chrome.storage.sync.set({ siteRules }, () => {
+    if (chrome.runtime.lastError) {
+      showNotification(`Saving site rule failed: ${chrome.runtime.lastError.message}`, true);
+      return;
+    }
+    renderSiteRuleOptions(index);
+    showNotification('Site rule saved!');
+  });
+}
+
+function deleteSiteRule() {
+  const index = parseInt(siteRuleSelect.value, 10);
+  if (!(index >= 0 && index < siteRules.length)) {
+    fillSiteRuleForm(null);
+    return;
+  }
+  siteRules.splice(index, 1);
+  chrome.storage.sync.set({ siteRules }, () => {
+    renderSiteRuleOptions(-1);
+    showNotification('Site rule deleted.');
+  });
+}
+
+// Start a new rule prefilled with the current tab's hostname
+function newSiteRule() {
+  siteRuleSelect.value = '-1';
+  fillSiteRuleForm(null);
+  try {
+    siteRulePatternInput.value = new URL(currentUrl).hostname;
+  } catch (_) {}
+  siteRuleRootInput.focus();
+}
+
+// Run the extraction on the active tab with only the rule being edited (saved or not)
+async function testSiteRule() {
+  const rule = readSiteRuleForm();
+  if (!rule.pattern) {
+    showNotification('A site rule needs a hostname or URL pattern.', true);
+    return;
+  }
+  const result = await extractPageContent({ siteRules: [rule] });
+  if (!result) return;
+  outputArea.value = result.markdown;
+  const info = result.context && result.context.siteRule;
+  if (!info) {
+    showNotification(`Pattern "${rule.pattern}" does not match the current tab.`, true);
+    return;
+  }
+  const parts = [
+    rule.root ? `root matched ${info.rootMatches} element(s)` : 'no root selector (heuristics used)',
+    `${info.removed} element(s) removed`
+  ];
+  if (info.errors && info.errors.length) {
+    showNotification(`Rule applied with errors: ${info.errors.join('; ')}`, true);
+  } else if (rule.root && info.rootMatches === 0) {
+    showNotification(`Root selector matched nothing; heuristics were used. ${parts[1]}.`, true);
+  } else {
+    showNotification(`Rule applied: ${parts.join(', ')}.`);
+  }
+}
+
+siteRuleSelect.addEventListener('change', () => {
+  fillSiteRuleForm(siteRules[parseInt(siteRuleSelect.value, 10)] || null);
+});
+
+newSiteRuleBtn.addEventListener('click', () => {
+  clearOldState();
+  newSiteRule();
+});
+
+saveSiteRuleBtn.addEventListener('click', () => {
+  clearOldState();
+  saveSiteRule();
+});
+
+deleteSiteRuleBtn.addEventListener('click', () => {
+  clearOldState();
+  deleteSiteRule();
+});
+
+testSiteRuleBtn.addEventListener('click', async () => {
+  clearOldState();
+  await testSiteRule();
+});
+
 // Extract content, combine with prompt, and display
 async function handleExtractionResult(result) {
   if (result) {
     const { markdown, context } = result;
-    const customPrompt = promptInputElement.value || '';
-    const finalPrompt = customPrompt ? `${customPrompt}\n\n${markdown}` : markdown;
-    outputArea.value = markdown;
+    // Output in the selected format (see output-renderers.js); Markdown otherwise
+    const output = typeof result.output === 'string' ? result.output : markdown;
+    const finalPrompt = getPromptPrefix() + output;
+    outputArea.value = output;
+    renderTokenStats(output);
+    renderSectionOutline(result);
     try {
       const title = context?.title || '';
       const url = context?.url || '';
@@ -276,34 +589,123 @@ async function handleExtractionResult(result) {
       statusElement.textContent = `Extracted • ${ts}${title ? ` • ${title}` : ''}`;
       currentUrlElement.textContent = url || currentUrlElement.textContent;
     } catch (_) {}
-    // Try Clipboard API, fallback to execCommand in sidebar page if needed
-    navigator.clipboard.writeText(finalPrompt)
-      .then(() => showNotification('Full prompt copied to clipboard!'))
-      .catch(err => {
-        try {
-          const ta = document.createElement('textarea');
-          ta.value = finalPrompt;
-          ta.style.position = 'fixed';
-          ta.style.left = '-9999px';
-          document.body.appendChild(ta);
-          ta.focus();
-          ta.select();
-          const ok = document.execCommand('copy');
-          ta.remove();
-          if (ok) {
-            showNotification('Full prompt copied to clipboard!');
-          } else {
-            showNotification(`Copy to clipboard failed: ${err && err.message ? err.message : 'unknown error'}`, true);
-          }
-        } catch (e2) {
-          showNotification(`Copy to clipboard failed: ${e2 && e2.message ? e2.message : 'unknown error'}`, true);
-        }
-      });
+    copyToClipboard(finalPrompt, 'Full prompt copied to clipboard!');
   } else {
     showNotification('No content extracted from the active tab.', true);
   }
 }
 
+// Outline of the extraction's headings with a checkbox per section; hidden without headings
+function renderSectionOutline(result) {
+  sectionList.innerHTML = '';
+  const headings = Array.isArray(result.chunks) && result.options
+    ? ContentExtractor.normalizeHeadings(result.chunks).filter(c => c.type === 'heading')
+    : [];
+  lastExtraction = headings.length ? { result, options: result.options, customFilters: result.customFilters } : null;
+  sectionOutline.hidden = !lastExtraction;
+  headings.forEach(heading => {
+    const li = document.createElement('li');
+    li.dataset.level = String(heading.level);
+    li.style.paddingLeft = `${(heading.level - 1) * 12}px`;
+    const label = document.createElement('label');
+    label.className = 'option-row';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.dataset.slug = heading.slug;
+    checkbox.addEventListener('change', renderSelectedSections);
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(ContentExtractor.stripInlineMarkdown(heading.text)));
+    li.appendChild(label);
+    sectionList.appendChild(li);
+  });
+}
+
+// Re-render the last extraction without the unchecked sections (subsections of an unchecked
+// section go with it and are dimmed in the outline)
+function renderSelectedSections() {
+  if (!lastExtraction) return;
+  const excludeSections = [];
+  let skipLevel = 0;
+  sectionList.querySelectorAll('li').forEach(li => {
+    const level = parseInt(li.dataset.level, 10);
+    const checkbox = li.querySelector('input');
+    if (skipLevel && level > skipLevel) {
+      li.classList.add('excluded-parent');
+      return;
+    }
+    li.classList.remove('excluded-parent');
+    skipLevel = checkbox.checked ? 0 : level;
+    if (!checkbox.checked) excludeSections.push(checkbox.dataset.slug);
+  });
+  const { result, options, customFilters } = lastExtraction;
+  window.__customFilters = customFilters;
+  const output = OutputRenderers.renderOutput(result.chunks, result.context, { ...options, excludeSections });
+  outputArea.value = output;
+  renderTokenStats(output);
+}
+
+// Try Clipboard API, fallback to execCommand in sidebar page if needed
+function copyToClipboard(text, successMessage) {
+  return navigator.clipboard.writeText(text)
+    .then(() => showNotification(successMessage))
+    .catch(err => {
+      try {
+        const ta = document.createElement('textarea');
+        ta.value = text;
+        ta.style.position = 'fixed';
+        ta.style.left = '-9999px';
+        document.body.appendChild(ta);
+        ta.focus();
+        ta.select();
+        const ok = document.execCommand('copy');
+        ta.remove();
+        if (ok) {
+          showNotification(successMessage);
+        } else {
+          showNotification(`Copy to clipboard failed: ${err && err.message ? err.message : 'unknown error'}`, true);
+        }
+      } catch (e2) {
+        showNotification(`Copy to clipboard failed: ${e2 && e2.message ? e2.message : 'unknown error'}`, true);
+      }
+    });
+}
+
+// Custom prompt as it precedes the extracted content in the copied prompt
+function getPromptPrefix() {
+  const customPrompt = promptInputElement.value || '';
+  return customPrompt ? `${customPrompt}\n\n` : '';
+}
+
+// Character, word and token counts of the copied prompt: custom prompt, front matter and body
+function renderTokenStats(markdown) {
+  const model = tokenModelSelect.value || TokenCounter.DEFAULT_MODEL_FAMILY;
+  const { frontMatter, body } = TokenCounter.splitFrontMatter(markdown);
+  const prompt = getPromptPrefix();
+  const rows = [
+    ['Prompt', TokenCounter.measureText(prompt, model)],
+    ['Front matter', TokenCounter.measureText(frontMatter, model)],
+    ['Body', TokenCounter.measureText(body, model)],
+    ['Total', TokenCounter.measureText(prompt + markdown, model)]
+  ];
+  const budget = parseInt(tokenBudgetInput.value, 10) || 0;
+  const tbody = tokenStatsTable.querySelector('tbody');
+  tbody.innerHTML = '';
+  for (const [label, counts] of rows) {
+    const tr = document.createElement('tr');
+    if (label === 'Total') tr.className = 'total';
+    const tokens = `≈${TokenCounter.formatCount(counts.tokens)}${label === 'Total' && budget > 0 ? ` / ${TokenCounter.formatCount(budget)}` : ''}`;
+    [label, TokenCounter.formatCount(counts.characters), TokenCounter.formatCount(counts.words), tokens].forEach((text, i) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (i === 3 && label === 'Total' && budget > 0 && counts.tokens > budget) td.className = 'over-budget';
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  }
+  tokenStatsTable.hidden = false;
+}
+
 // Handle a single paragraph selection message from page
 function handleParagraphSelectedMessage(msg) {
   try {
@@ -325,6 +727,90 @@ function handleParagraphSelectedMessage(msg) {
   }
 }
 
+// Extract the active tab as retrieval passages and serialize them as JSONL
+// Returns {jsonl, count, title} or null (the failure has been shown)
+async function extractPassagesJsonl() {
+  const maxTokens = parseInt(passageTokensInput.value, 10) || 512;
+  const overlap = Math.max(0, parseInt(passageOverlapInput.value, 10) || 0);
+  // Passages are exported without the custom prompt, so the prompt budget does not apply
+  const result = await extractPageContent({ passages: { maxTokens, overlap }, tokenBudget: 0, format: 'markdown' });
+  if (!result) return null;
+  if (!Array.isArray(result.passages) || !result.passages.length) {
+    showNotification('No passages extracted from the active tab.', true);
+    return null;
+  }
+  const jsonl = await buildPassageJsonl(result.passages, result.context || {});
+  outputArea.value = jsonl;
+  return { jsonl, count: result.passages.length, title: (result.context && result.context.title) || '' };
+}
+
+/**
+ * One JSON record per passage: source URL (and canonical URL when it differs), title,
+ * chunk index and count, heading path, text, estimated tokens and a SHA-256 content hash.
+ * @param {Array<{headingPath:string[], text:string, tokens:number}>} passages
+ * @param {Object} context extraction context
+ * @returns {Promise<string>}
+ */
+async function buildPassageJsonl(passages, context) {
+  const canonical = context.metadata && context.metadata.canonical !== context.url ? context.metadata.canonical : '';
+  const records = await Promise.all(passages.map(async (passage, i) => ({
+    url: context.url || currentUrl,
+    ...(canonical ? { canonical_url: canonical } : {}),
+    title: context.title || currentTitle || '',
+    chunk_index: i,
+    chunk_count: passages.length,
+    heading_path: passage.headingPath,
+    text: passage.text,
+    tokens: passage.tokens,
+    token_model: tokenModelSelect.value || TokenCounter.DEFAULT_MODEL_FAMILY,
+    content_hash: `sha256:${await sha256Hex(passage.text)}`,
+    extracted_at: context.timestamp || new Date().toISOString()
+  })));
+  return records.map(record => JSON.stringify(record)).join('\n') + '\n';
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Save text as a file through a temporary object URL
+function downloadText(text, filename, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// File name from the page title: "my-page-title.jsonl"
+function getExportFilename(title, extension) {
+  const base = String(title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, 80);
+  return `${base || 'page'}.${extension}`;
+}
+
+copySectionsBtn.addEventListener('click', async () => {
+  if (!outputArea.value) return;
+  await copyToClipboard(getPromptPrefix() + outputArea.value, 'Prompt with the selected sections copied to clipboard!');
+});
+
+copyJsonlBtn.addEventListener('click', async () => {
+  clearOldState();
+  const exported = await extractPassagesJsonl();
+  if (exported) await copyToClipboard(exported.jsonl, `${exported.count} passages copied to clipboard as JSONL!`);
+});
+
+downloadJsonlBtn.addEventListener('click', async () => {
+  clearOldState();
+  const exported = await extractPassagesJsonl();
+  if (!exported) return;
+  downloadText(exported.jsonl, getExportFilename(exported.title, 'jsonl'), 'application/x-ndjson');
+  showNotification(`${exported.count} passages saved as JSONL.`);
+});
+
 extractBtn.addEventListener('click', async () => {
   clearOldState();
   const result = await extractPageContent();
@@ -335,6 +821,8 @@ extractBtn.addEventListener('click', async () => {
 getCurrentTabInfo();
 loadPrompt();
 loadFilters();
+loadSiteRules();
+loadExtractionOptions();
 
 // Listen for tab activation changes
 chrome.tabs.onActivated.addListener((activeInfo) => {
@@ -0,0 +1,1197 @@
+// Site Handlers - dedicated extraction for sites whose content lives in page data rather than readable DOM
+// Injected next to content-extractor.js by extraction-runner.js; uses window.ContentExtractor for rendering.
+//
+// A handler matches a URL and returns chunks plus metadata; extractSiteContent() wraps them in the
+// regular front matter and Markdown rendering, so the sidebar and Alt+E prompt composition apply as usual.
+// When a handler does not match or yields nothing, extraction falls back to the generic extractor.
+
+(function() {
+  'use strict';
+
+  /**
+   * Handlers in match order. `option` names the extraction option that switches a handler off
+   * (default "siteHandlers"); a result with filter: false is rendered without the boilerplate filters.
+   * @type {Array<{name:string, option?:string, matches:function(URL):boolean, extract:function(URL, Object):Promise<?{chunks:Array, title?:string, authors?:string[], metadata?:Object, filter?:boolean}>}>}
+   */
+  const SITE_HANDLERS = [
+    {
+      name: 'youtube',
+      matches: url => /(^|\.)youtube\.com$/i.test(url.hostname) && !!getYouTubeVideoId(url),
+      extract: extractYouTubeTranscript
+    },
+    {
+      name: 'github',
+      matches: url => url.hostname === 'github.com' && !!parseGitHubUrl(url),
+      extract: extractGitHubPage
+    },
+    {
+      name: 'stackexchange',
+      option: 'forumThreads',
+      matches: url => /^\/questions\/\d+/.test(url.pathname) && isStackExchange(url),
+      extract: extractStackExchangeThread
+    },
+    {
+      name: 'discourse',
+      option: 'forumThreads',
+      matches: url => /^\/t\//.test(url.pathname) && isDiscourse(),
+      extract: extractDiscourseThread
+    },
+    {
+      name: 'reddit',
+      option: 'forumThreads',
+      matches: url => /(^|\.)reddit\.com$/i.test(url.hostname) && /\/comments\/\w+/.test(url.pathname),
+      extract: extractRedditThread
+    }
+  ];
+
+  /**
+   * Run the matching site handler for the current page.
+   * Skipped when text is selected (the selection is extracted as usual) or the handler's option
+   * (options.siteHandlers, options.forumThreads for threads) is false.
+   * @param {Object} [options] extraction options (passed on to renderMarkdown)
+   * @returns {Promise<{markdown:string, chunks:Array, context:Object}|null>} null to use the generic extractor
+   */
+  async function extractSiteContent(options = {}) {
+    const extractor = window.ContentExtractor;
+    if (!extractor) return null;
+    const selectionInfo = extractor.getSelectionInfo();
+    if (selectionInfo.hasSelection) return null;
+
+    const url = new URL(location.href);
+    const handler = SITE_HANDLERS.find(h => options[h.option || 'siteHandlers'] !== false && h.matches(url));
+    if (!handler) return null;
+
+    let result;
+    try {
+      result = await handler.extract(url, options);
+    } catch (e) {
+      console.warn(`Site handler "${handler.name}" failed; using the generic extractor:`, e);
+      return null;
+    }
+    if (!result || !result.chunks || !result.chunks.length) return null;
+
+    const context = extractor.buildContext(selectionInfo, null, null);
+    context.siteHandler = handler.name;
+    context.breadcrumbs = [];
+    if (result.title) context.title = result.title;
+    if (result.authors && result.authors.length) {
+      context.authors = result.authors;
+      context.author = result.authors.join(', ');
+    }
+    context.metadata = { ...context.metadata, ...(result.metadata || {}) };
+
+    // Recorded in the context too, for renderers that start from the chunks (buildPassages)
+    if (result.filter === false) context.filter = false;
+    const renderOptions = result.filter === false ? { ...options, filter: false } : options;
+    const markdown = extractor.renderMarkdown(result.chunks, extractor.resolveInclude(options), context, renderOptions);
+    return { markdown, chunks: result.chunks, context };
+  }
+
+  // ---------------------------------------------------------------------------
+  // YouTube: transcript from the caption tracks of the player response
+  // ---------------------------------------------------------------------------
+
+  // Seconds of speech per transcript paragraph
+  const TRANSCRIPT_PARAGRAPH_SECONDS = 45;
+
+  function getYouTubeVideoId(url) {
+    if (url.pathname === '/watch') return url.searchParams.get('v') || '';
+    const match = url.pathname.match(/^\/(?:shorts|live|embed)\/([\w-]{6,})/);
+    return match ? match[1] : '';
+  }
+
+  /**
+   * Transcript of a YouTube video: title, description and the caption track as timestamped
+   * paragraphs, under chapter headings when the video has chapters.
+   * The player response is read from the page's inline data when it belongs to this video,
+   * otherwise from a fresh copy of the watch page (YouTube navigates without reloading).
+   * Caption tracks: a manual track in the browser language, then any manual track, then
+   * auto-generated captions; falls back to the transcript panel when it is open.
+   */
+  async function extractYouTubeTranscript(url) {
+    const videoId = getYouTubeVideoId(url);
+    const { playerResponse, initialData } = await getYouTubeData(videoId);
+    if (!playerResponse || !playerResponse.videoDetails) return null;
+
+    const details = playerResponse.videoDetails;
+    const microformat = (playerResponse.microformat && playerResponse.microformat.playerMicroformatRenderer) || {};
+    const tracks = (((playerResponse.captions || {}).playerCaptionsTracklistRenderer || {}).captionTracks) || [];
+    const track = pickCaptionTrack(tracks);
+
+    let cues = track ? await fetchCaptionCues(track.baseUrl) : [];
+    if (!cues.length) cues = readTranscriptPanel();
+    if (!cues.length) return null;
+
+    const { escapeMarkdown } = window.ContentExtractor;
+    const chapters = getYouTubeChapters(initialData, details.shortDescription || '');
+    const chunks = [{ type: 'heading', level: 1, text: escapeMarkdown(details.title || '') }];
+
+    const description = (details.shortDescription || '').trim();
+    if (description) {
+      chunks.push({ type: 'heading', level: 2, text: 'Description' });
+      description.split(/\n{2,}/).forEach(block => {
+        chunks.push({ type: 'paragraph', text: block.split('\n').map(line => escapeMarkdown(line.trim())).join('\n') });
+      });
+    }
+
+    chunks.push({ type: 'heading', level: 2, text: 'Transcript' });
+    if (track) {
+      const label = track.name && (track.name.simpleText || (track.name.runs || []).map(r => r.text).join('')) || track.languageCode;
+      chunks.push({ type: 'paragraph', text: `*Captions: ${escapeMarkdown(label)}${track.kind === 'asr' ? ' (auto-generated)' : ''}*` });
+    }
+    chunks.push(...buildTranscriptChunks(cues, chapters, videoId));
+
+    const seconds = parseInt(details.lengthSeconds, 10);
+    return {
+      chunks,
+      title: details.title || '',
+      authors: details.author ? [details.author] : [],
+      metadata: {
+        canonical: `https://www.youtube.com/watch?v=${videoId}`,
+        published: microformat.publishDate || microformat.uploadDate || '',
+        siteName: 'YouTube',
+        description: description.split('\n')[0] || '',
+        language: track ? track.languageCode : '',
+        contentType: 'VideoObject',
+        duration: Number.isFinite(seconds) ? formatTimestamp(seconds) : ''
+      }
+    };
+  }
+
+  async function getYouTubeData(videoId) {
+    const fromScripts = (source) => ({
+      playerResponse: parseJsonAssignment(source, 'ytInitialPlayerResponse'),
+      initialData: parseJsonAssignment(source, 'ytInitialData')
+    });
+    const inline = fromScripts(Array.from(document.scripts).map(s => s.textContent || '').join('\n'));
+    if (inline.playerResponse && inline.playerResponse.videoDetails && inline.playerResponse.videoDetails.videoId === videoId) {
+      return inline;
+    }
+    const response = await fetch(`${location.origin}/watch?v=${encodeURIComponent(videoId)}`, { credentials: 'include' });
+    if (!response.ok) return { playerResponse: null, initialData: null };
+    return fromScripts(await response.text());
+  }
+
+  /**
+   * Parse the object literal assigned to a variable in inline script source
+   * ("var ytInitialData = {...};"), matching braces outside of strings.
+   */
+  function parseJsonAssignment(source, name) {
+    const match = new RegExp(`${name}\\s*=\\s*\\{`).exec(source);
+    if (!match) return null;
+    const start = match.index + match[0].length - 1;
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < source.length; i++) {
+      const ch = source[i];
+      if (inString) {
+        if (ch === '\\') i++;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === '{') {
+        depth++;
+      } else if (ch === '}' && --depth === 0) {
+        try {
+          return JSON.parse(source.slice(start, i + 1));
+        } catch (_) {
+          return null;
+        }
+      }
+    }
+    return null;
+  }
+
+  function pickCaptionTrack(tracks) {
+    if (!tracks.length) return null;
+    const lang = (navigator.language || 'en').split('-')[0].toLowerCase();
+    const manual = tracks.filter(t => t.kind !== 'asr');
+    const inLang = list => list.find(t => (t.languageCode || '').split('-')[0].toLowerCase() === lang);
+    return inLang(manual) || manual[0] || inLang(tracks) || tracks[0];
+  }
+
+  /**
+   * Caption cues ({start, text}, start in seconds) of a caption track: the JSON format first,
+   * then the XML format.
+   */
+  async function fetchCaptionCues(baseUrl) {
+    if (!baseUrl) return [];
+    const trackUrl = new URL(baseUrl, location.origin);
+    try {
+      trackUrl.searchParams.set('fmt', 'json3');
+      const response = await fetch(trackUrl.href, { credentials: 'include' });
+      const text = response.ok ? await response.text() : '';
+      if (text.trim()) {
+        const data = JSON.parse(text);
+        const cues = (data.events || [])
+          .filter(e => Array.isArray(e.segs))
+          .map(e => ({ start: (e.tStartMs || 0) / 1000, text: e.segs.map(s => s.utf8 || '').join('').replace(/\s+/g, ' ').trim() }))
+          .filter(c => c.text);
+        if (cues.length) return cues;
+      }
+    } catch (e) {
+      console.warn('Caption track (json3) could not be read:', e);
+    }
+    try {
+      trackUrl.searchParams.delete('fmt');
+      const response = await fetch(trackUrl.href, { credentials: 'include' });
+      const xml = response.ok ? await response.text() : '';
+      const doc = new DOMParser().parseFromString(xml, 'text/xml');
+      return Array.from(doc.querySelectorAll('text')).map(node => ({
+        start: parseFloat(node.getAttribute('start')) || 0,
+        text: decodeEntities(node.textContent || '').replace(/\s+/g, ' ').trim()
+      })).filter(c => c.text);
+    } catch (e) {
+      console.warn('Caption track (xml) could not be read:', e);
+      return [];
+    }
+  }
+
+  // The XML caption format escapes entities twice ("&amp;#39;")
+  function decodeEntities(text) {
+    if (!/&[#\w]+;/.test(text)) return text;
+    return new DOMParser().parseFromString(`<!doctype html><body>${text.replace(/</g, '&lt;')}`, 'text/html').body.textContent || '';
+  }
+
+  // Cues from YouTube's transcript panel, when the user has opened it
+  function readTranscriptPanel() {
+    return Array.from(document.querySelectorAll('ytd-transcript-segment-renderer')).map(segment => {
+      const stamp = (segment.querySelector('.segment-timestamp') || {}).textContent || '';
+      const text = (segment.querySelector('.segment-text') || {}).textContent || '';
+      return { start: parseTimestamp(stamp.trim()), text: text.replace(/\s+/g, ' ').trim() };
+    }).filter(c => c.text && Number.isFinite(c.start));
+  }
+
+  /**
+   * Chapters ({start, title}) from the player's chapter markers in ytInitialData, or from
+   * timestamp lines in the description ("0:00 Intro"), which YouTube itself turns into chapters.
+   */
+  function getYouTubeChapters(initialData, description) {
+    const chapters = [];
+    const visit = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (Array.isArray(node)) return node.forEach(visit);
+      if (node.chapterRenderer) {
+        const c = node.chapterRenderer;
+        const title = (c.title && (c.title.simpleText || (c.title.runs || []).map(r => r.text).join(''))) || '';
+        if (title) chapters.push({ start: (c.timeRangeStartMillis || 0) / 1000, title });
+        return;
+      }
+      Object.values(node).forEach(visit);
+    };
+    visit(initialData);
+    if (chapters.length > 1) return dedupeChapters(chapters);
+
+    const fromDescription = [];
+    for (const line of description.split('\n')) {
+      const match = line.trim().match(/^[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*[-–—:|]?\s*(.+)$/);
+      if (match) fromDescription.push({ start: parseTimestamp(match[1]), title: match[2].trim() });
+    }
+    return fromDescription.length > 1 && fromDescription[0].start === 0 ? dedupeChapters(fromDescription) : [];
+  }
+
+  function dedupeChapters(chapters) {
+    const seen = new Set();
+    return chapters
+      .filter(c => !seen.has(c.start) && seen.add(c.start))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Group cues into paragraphs of about TRANSCRIPT_PARAGRAPH_SECONDS, each starting with a
+   * timestamp link; a chapter start closes the paragraph and adds a chapter heading.
+   */
+  function buildTranscriptChunks(cues, chapters, videoId) {
+    const { escapeMarkdown } = window.ContentExtractor;
+    const chunks = [];
+    let chapterIndex = 0;
+    let paragraph = null;
+    const flush = () => {
+      if (paragraph && paragraph.texts.length) {
+        const stamp = `[${formatTimestamp(paragraph.start)}](https://www.youtube.com/watch?v=${videoId}&t=${Math.floor(paragraph.start)}s)`;
+        chunks.push({ type: 'paragraph', text: `${stamp} ${escapeMarkdown(paragraph.texts.join(' '))}` });
+      }
+      paragraph = null;
+    };
+    for (const cue of cues) {
+      while (chapterIndex < chapters.length && cue.start >= chapters[chapterIndex].start) {
+        flush();
+        const chapter = chapters[chapterIndex++];
+        chunks.push({ type: 'heading', level: 3, text: `${escapeMarkdown(chapter.title)} (${formatTimestamp(chapter.start)})` });
+      }
+      if (paragraph && cue.start - paragraph.start >= TRANSCRIPT_PARAGRAPH_SECONDS) flush();
+      if (!paragraph) paragraph = { start: cue.start, texts: [] };
+      paragraph.texts.push(cue.text);
+    }
+    flush();
+    return chunks;
+  }
+
+  // 75 -> "1:15", 3725 -> "1:02:05"
+  function formatTimestamp(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
+
+  // "2024-05-01T14:03:27Z" -> "2024-05-01 14:03 UTC"
+  function formatDateTime(value) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return String(value);
+    return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+  }
+
+  // "1:02:05" -> 3725
+  function parseTimestamp(stamp) {
+    const parts = String(stamp).split(':').map(n => parseInt(n, 10));
+    if (!parts.length || parts.some(n => !Number.isFinite(n))) return NaN;
+    return parts.reduce((total, n) => total * 60 + n, 0);
+  }
+
+  // ---------------------------------------------------------------------------
+  // GitHub: issue and pull request threads, pull request diffs, file views
+  // ---------------------------------------------------------------------------
+
+  const GITHUB_API = 'https://api.github.com';
+  // Pages of 100 items read per list endpoint (comments, reviews, changed files)
+  const GITHUB_MAX_API_PAGES = 5;
+
+  // Comment bodies and their containers, in the classic timeline and the React issue view
+  const GITHUB_COMMENT_BODY_SELECTOR = '.js-comment-body, .comment-body, [data-testid="markdown-body"]';
+  const GITHUB_COMMENT_SELECTOR = '.review-comment, .timeline-comment, .react-issue-body, .react-issue-comment, [data-testid="comment-viewer-outer-box"], .js-comment';
+
+  // File extensions whose language name differs from the extension (others go through normalizeCodeLanguage)
+  const GITHUB_FILE_LANGUAGES = {
+    mjs: 'javascript', cjs: 'javascript', mts: 'typescript', cts: 'typescript', pyi: 'python', pyw: 'python',
+    h: 'c', cc: 'cpp', hh: 'cpp', hxx: 'cpp', m: 'objectivec', mm: 'objectivec', kts: 'kotlin', gradle: 'groovy',
+    bash: 'bash', ksh: 'bash', bat: 'batch', cmd: 'batch', psm1: 'powershell', pl: 'perl', pm: 'perl',
+    ex: 'elixir', exs: 'elixir', erl: 'erlang', hs: 'haskell', ml: 'ocaml', fs: 'fsharp', clj: 'clojure',
+    vue: 'vue', svelte: 'svelte', mdx: 'markdown', markdown: 'markdown', rst: 'rst', tex: 'latex',
+    yaml: 'yaml', jsonc: 'json', json5: 'json', ipynb: 'json', toml: 'toml', ini: 'ini', cfg: 'ini', conf: 'ini',
+    tf: 'hcl', hcl: 'hcl', proto: 'protobuf', graphql: 'graphql', gql: 'graphql', sql: 'sql', svg: 'xml',
+    patch: 'diff', diff: 'diff', txt: '', lock: '', csv: '', tsv: ''
+  };
+  const GITHUB_FILE_NAMES = {
+    dockerfile: 'dockerfile', containerfile: 'dockerfile', makefile: 'makefile', gnumakefile: 'makefile',
+    gemfile: 'ruby', rakefile: 'ruby', podfile: 'ruby', vagrantfile: 'ruby', 'cmakelists.txt': 'cmake'
+  };
+
+  /**
+   * Page kind of a GitHub URL: an issue or pull request (any tab) or a file view.
+   * @returns {?{owner:string, repo:string, kind:('issue'|'pull'|'blob'), number?:number, tab?:string, rest?:string}}
+   */
+  function parseGitHubUrl(url) {
+    const match = url.pathname.match(/^\/([\w.-]+)\/([\w.-]+)\/(issues|pull|blob)\/(.+)$/);
+    if (!match) return null;
+    const [, owner, repo, kind, rest] = match;
+    // "<ref>/<path>"; the ref may itself contain slashes, so the split is resolved from the page
+    if (kind === 'blob') return { owner, repo, kind, rest: decodeURIComponent(rest) };
+    const number = rest.match(/^(\d+)(?:\/(\w+))?/);
+    if (!number) return null;
+    return { owner, repo, kind: kind === 'pull' ? 'pull' : 'issue', number: parseInt(number[1], 10), tab: number[2] || '' };
+  }
+
+  async function extractGitHubPage(url) {
+    const page = parseGitHubUrl(url);
+    return page.kind === 'blob' ? extractGitHubFile(page) : extractGitHubThread(page);
+  }
+
+  /**
+   * Issue or pull request as a thread: title, a summary line (state, labels, author, branches),
+   * the opening post and every comment under an "@author — action — time" heading, in
+   * chronological order; pull requests add reviews, inline review comments (with their diff
+   * hunk) and the changed files as one fenced diff block per file.
+   * Read from the REST API (raw Markdown bodies, complete patches); private repositories and
+   * rate-limited requests fall back to the rendered timeline and diff tables of the page.
+   */
+  async function extractGitHubThread(page) {
+    let thread = null;
+    try {
+      thread = await fetchGitHubThread(page);
+    } catch (e) {
+      console.warn('GitHub API unavailable; reading the thread from the page:', e);
+    }
+    if (!thread) thread = readGitHubThread(page);
+    if (!thread) return null;
+
+    const { escapeMarkdown } = window.ContentExtractor;
+    const isPull = page.kind === 'pull';
+    const chunks = [{ type: 'heading', level: 1, text: `${escapeMarkdown(thread.title)} #${page.number}` }];
+
+    const summary = [`**${isPull ? 'Pull request' : 'Issue'}:** ${page.owner}/${page.repo}#${page.number}`];
+    if (thread.state) summary.push(`**State:** ${thread.state}`);
+    if (thread.labels.length) summary.push(`**Labels:** ${thread.labels.map(escapeMarkdown).join(', ')}`);
+    if (thread.author) summary.push(`**Author:** @${thread.author}`);
+    if (thread.branches) summary.push(`**Branches:** \`${thread.branches.base}\` ← \`${thread.branches.head}\``);
+    if (thread.stats) summary.push(`**Changes:** +${thread.stats.additions} −${thread.stats.deletions} in ${thread.stats.files} file${thread.stats.files === 1 ? '' : 's'}`);
+    chunks.push({ type: 'paragraph', text: summary.join(' · ') });
+
+    const conversation = [{ type: 'heading', level: 2, text: 'Conversation' }];
+    for (const entry of thread.entries) conversation.push(...buildGitHubEntryChunks(entry));
+    const files = thread.files.length ? buildGitHubDiffChunks(thread.files) : [];
+    // On the "Files changed" tab the diff is what the reader is looking at
+    if (page.tab === 'files') chunks.push(...files, ...conversation);
+    else chunks.push(...conversation, ...files);
+
+    return {
+      chunks,
+      title: thread.title,
+      authors: thread.author ? [thread.author] : [],
+      metadata: {
+        canonical: `https://github.com/${page.owner}/${page.repo}/${isPull ? 'pull' : 'issues'}/${page.number}`,
+        published: thread.created || '',
+        modified: thread.updated || '',
+        siteName: 'GitHub',
+        contentType: isPull ? 'PullRequest' : 'Issue'
+      }
+    };
+  }
+
+  async function fetchGitHubThread(page) {
+    const base = `/repos/${page.owner}/${page.repo}`;
+    const issue = await fetchGitHubApi(`${base}/issues/${page.number}`);
+    const isPull = page.kind === 'pull';
+    const [comments, pull, reviews, reviewComments, files] = await Promise.all([
+      fetchGitHubApi(`${base}/issues/${page.number}/comments`, true),
+      isPull ? fetchGitHubApi(`${base}/pulls/${page.number}`) : null,
+      isPull ? fetchGitHubApi(`${base}/pulls/${page.number}/reviews`, true) : [],
+      isPull ? fetchGitHubApi(`${base}/pulls/${page.number}/comments`, true) : [],
+      isPull ? fetchGitHubApi(`${base}/pulls/${page.number}/files`, true) : []
+    ]);
+
+    const login = user => (user && user.login) || 'ghost';
+    let state = issue.state_reason === 'not_planned' ? 'closed (not planned)' : issue.state;
+    if (pull) state = pull.merged_at ? 'merged' : pull.draft && pull.state === 'open' ? 'draft' : pull.state;
+
+    const entries = [{ author: login(issue.user), action: 'opened', date: issue.created_at, body: issue.body || '' }];
+    const later = [];
+    comments.forEach(c => later.push({ author: login(c.user), action: 'commented', date: c.created_at, body: c.body || '' }));
+    reviews.forEach(r => {
+      // Plain "Comment" reviews without a summary only group inline comments, which are listed on their own
+      if (r.state === 'PENDING' || (r.state === 'COMMENTED' && !(r.body || '').trim())) return;
+      later.push({ author: login(r.user), action: GITHUB_REVIEW_ACTIONS[r.state] || 'reviewed', date: r.submitted_at, body: r.body || '' });
+    });
+    reviewComments.forEach(c => {
+      const line = c.line || c.original_line;
+      later.push({
+        author: login(c.user),
+        action: `commented on \`${c.path}\`${line ? ` line ${line}` : ''}`,
+        date: c.created_at,
+        body: c.body || '',
+        diffHunk: c.diff_hunk || ''
+      });
+    });
+    later.sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+    return {
+      title: issue.title || '',
+      state,
+      labels: (issue.labels || []).map(l => (typeof l === 'string' ? l : l.name)).filter(Boolean),
+      author: login(issue.user),
+      created: issue.created_at,
+      updated: issue.updated_at,
+      branches: pull ? { base: pull.base.ref, head: pull.head.label || pull.head.ref } : null,
+      stats: pull ? { additions: pull.additions, deletions: pull.deletions, files: pull.changed_files } : null,
+      entries: entries.concat(later),
+      files: files.map(f => ({ path: f.filename, previousPath: f.previous_filename || '', status: f.status, patch: f.patch || '' }))
+    };
+  }
+
+  const GITHUB_REVIEW_ACTIONS = {
+    APPROVED: 'approved',
+    CHANGES_REQUESTED: 'requested changes',
+    COMMENTED: 'reviewed',
+    DISMISSED: 'review dismissed'
+  };
+
+  /**
+   * GET a REST API resource without credentials (api.github.com allows any origin).
+   * Lists follow the Link header for up to GITHUB_MAX_API_PAGES pages.
+   */
+  async function fetchGitHubApi(path, list = false) {
+    let next = `${GITHUB_API}${path}${list ? '?per_page=100' : ''}`;
+    const items = [];
+    for (let page = 0; next && page < GITHUB_MAX_API_PAGES; page++) {
+      const response = await fetch(next, { credentials: 'omit', headers: { Accept: 'application/vnd.github+json' } });
+      if (!response.ok) throw new Error(`GitHub API returned ${response.status} for ${path}`);
+      const data = await response.json();
+      if (!list) return data;
+      items.push(...data);
+      const link = (response.headers.get('Link') || '').match(/<([^>]+)>;\s*rel="next"/);
+      next = link ? link[1] : null;
+    }
+    return items;
+  }
+
+  /**
+   * Thread from the rendered page: every visible comment body with the author and time of its
+   * comment container, plus the diff tables when the "Files changed" tab is loaded.
+   */
+  function readGitHubThread(page) {
+    const { cleanInline, chunkDomToSemanticBlocks, isHidden } = window.ContentExtractor;
+    const text = (selector) => {
+      const el = document.querySelector(selector);
+      return el ? cleanInline(el.textContent || '') : '';
+    };
+    const title = text('[data-testid="issue-title"], .gh-header-title .js-issue-title, .gh-header-title .markdown-title, bdi.js-issue-title');
+    if (!title) return null;
+
+    const labels = new Set();
+    document.querySelectorAll('.js-issue-labels .IssueLabel, .sidebar-labels .IssueLabel, [data-testid="issue-labels"] a').forEach(el => {
+      const name = cleanInline(el.textContent || '');
+      if (name) labels.add(name);
+    });
+
+    const entries = [];
+    const seen = new Set();
+    for (const body of document.querySelectorAll(GITHUB_COMMENT_BODY_SELECTOR)) {
+      const container = body.closest(GITHUB_COMMENT_SELECTOR);
+      if (!container || seen.has(container) || isHidden(body)) continue;
+      seen.add(container);
+      const author = getGitHubLogin(container.querySelector('a.author, [data-testid="issue-body-header-author"], a[data-hovercard-type="user"]'));
+      const time = container.querySelector('relative-time[datetime], time[datetime]');
+      entries.push({
+        author,
+        action: entries.length ? 'commented' : 'opened',
+        date: time ? time.getAttribute('datetime') : '',
+        chunks: chunkDomToSemanticBlocks(body)
+      });
+    }
+
+    return {
+      title,
+      state: text('[data-testid="header-state"], .gh-header-meta .State').toLowerCase(),
+      labels: Array.from(labels),
+      author: entries.length ? entries[0].author : '',
+      created: entries.length ? entries[0].date : '',
+      updated: '',
+      branches: null,
+      stats: null,
+      entries,
+      files: page.kind === 'pull' ? readGitHubDiffFiles() : []
+    };
+  }
+
+  function getGitHubLogin(el) {
+    if (!el) return '';
+    const name = (el.textContent || '').trim();
+    if (name) return name.replace(/^@/, '');
+    const match = (el.getAttribute('href') || '').match(/^\/([\w-]+)\/?$/);
+    return match ? match[1] : '';
+  }
+
+  /**
+   * Changed files from the diff tables of the "Files changed" tab (unified and split views):
+   * hunk headers plus -/+/space prefixed lines. Collapsed or unloaded diffs have no patch.
+   */
+  function readGitHubDiffFiles() {
+    return Array.from(document.querySelectorAll('.file[data-tagsearch-path], .js-file[data-tagsearch-path]')).map(file => {
+      const lines = [];
+      const removed = [];
+      const added = [];
+      const flush = () => {
+        lines.push(...removed.map(l => `-${l}`), ...added.map(l => `+${l}`));
+        removed.length = 0;
+        added.length = 0;
+      };
+      file.querySelectorAll('tr').forEach(row => {
+        const hunk = row.querySelector('td.blob-code-hunk');
+        if (hunk) {
+          flush();
+          lines.push((hunk.textContent || '').trim());
+          return;
+        }
+        let context = null;
+        row.querySelectorAll('td.blob-code').forEach(cell => {
+          const code = ((cell.querySelector('.blob-code-inner') || cell).textContent || '').replace(/\n$/, '');
+          if (cell.classList.contains('blob-code-deletion')) removed.push(code);
+          else if (cell.classList.contains('blob-code-addition')) added.push(code);
+          else if (cell.classList.contains('blob-code-context') && context === null) context = code;
+        });
+        if (context !== null) {
+          flush();
+          lines.push(` ${context}`);
+        }
+      });
+      flush();
+      return { path: file.getAttribute('data-tagsearch-path'), previousPath: '', status: '', patch: lines.join('\n') };
+    });
+  }
+
+  // "@alice — commented — 2024-05-01 14:03 UTC" heading, then the body (and the diff hunk of inline comments)
+  function buildGitHubEntryChunks(entry) {
+    const { escapeMarkdown } = window.ContentExtractor;
+    const parts = [`@${escapeMarkdown(entry.author || 'unknown')}`, entry.action];
+    if (entry.date) parts.push(formatDateTime(entry.date));
+    const chunks = [{ type: 'heading', level: 3, text: parts.join(' — ') }];
+    if (entry.diffHunk) chunks.push({ type: 'code', lang: 'diff', code: entry.diffHunk });
+    // Headings inside a comment stay below the comment's own heading
+    const body = entry.chunks || parseMarkdownBlocks(entry.body);
+    chunks.push(...body.map(c => (c.type === 'heading' ? { ...c, level: Math.min(6, c.level + 3) } : c)));
+    if (chunks.length === 1 && entry.action === 'opened') chunks.push({ type: 'paragraph', text: '*No description provided.*' });
+    return chunks;
+  }
+
+  // One fenced diff block per changed file, titled with its path
+  function buildGitHubDiffChunks(files) {
+    const { escapeMarkdown } = window.ContentExtractor;
+    const chunks = [{ type: 'heading', level: 2, text: 'Files changed' }];
+    for (const file of files) {
+      const title = file.previousPath && file.previousPath !== file.path ? `${file.previousPath} → ${file.path}` : file.path;
+      if (file.patch) {
+        chunks.push({ type: 'code', lang: 'diff', code: file.patch, title });
+      } else {
+        const reason = file.status === 'renamed' ? 'renamed without changes' : 'binary, too large or not loaded';
+        chunks.push({ type: 'paragraph', text: `\`${title}\` — ${file.status ? `${escapeMarkdown(file.status)}, ` : ''}${reason}` });
+      }
+    }
+    return chunks;
+  }
+
+  // Unlink javascript: destinations in a Markdown body taken verbatim from a site API (the serializer's
+  // resolveUrl drops them for page content): links keep their text, images their alt text,
+  // autolinks and reference definitions are removed. Code fences are left as they are.
+  function stripScriptLinks(markdown) {
+    const script = '\\s*<?\\s*javascript:';
+    const inlineLink = new RegExp(`!?\\[([^\\]]*)\\]\\(${script}(?:[^()]|\\([^()]*\\))*\\)`, 'gi');
+    const autolink = /<\s*javascript:[^>]*>/gi;
+    const definition = new RegExp(`^\\s{0,3}\\[[^\\]]+\\]:${script}`, 'i');
+    let fence = null;
+    return markdown.split('\n').map(line => {
+      const marker = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+      if (marker) {
+        if (!fence) fence = marker[1];
+        else if (marker[1][0] === fence[0] && marker[1].length >= fence.length) fence = null;
+        return line;
+      }
+      if (fence) return line;
+      if (definition.test(line)) return null;
+      return line.replace(inlineLink, '$1').replace(autolink, '');
+    }).filter(line => line !== null).join('\n');
+  }
+
+  // List item line: indent, marker, content
+  const MARKDOWN_LIST_ITEM = /^( {0,12})([-*+]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/;
+  const MARKDOWN_RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+  const MARKDOWN_TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+  /**
+   * Parse a Markdown body taken verbatim from a site API (GitHub, Reddit) into chunks, so that
+   * its structure renders, splits and counts like page content: ATX and setext headings, fenced
+   * and indented code, block quotes, nested and task lists, GFM tables and rules. Inline Markdown
+   * is kept as written; anything else (HTML blocks included) becomes paragraphs.
+   * javascript: links are unlinked first (see stripScriptLinks).
+   * @param {string} markdown
+   * @returns {Array<Object>} chunks
+   */
+  function parseMarkdownBlocks(markdown) {
+    const { normalizeCodeLanguage } = window.ContentExtractor;
+    const lines = stripScriptLinks(String(markdown || '').replace(/\r\n?/g, '\n')).split('\n');
+    const chunks = [];
+    let paragraph = [];
+    const flush = () => {
+      const text = paragraph.join('\n').trim();
+      if (text) chunks.push({ type: 'paragraph', text });
+      paragraph = [];
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+      const fence = line.match(/^( *)(`{3,}|~{3,})[ \t]*([^`\s]*)/);
+      const heading = line.match(/^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/);
+      const setext = paragraph.length ? line.match(/^ {0,3}(=+|-+)[ \t]*$/) : null;
+
+      if (!line.trim()) {
+        flush();
+        i++;
+      } else if (fence) {
+        flush();
+        const code = [];
+        for (i++; i < lines.length; i++) {
+          const close = lines[i].match(/^ *(`{3,}|~{3,})[ \t]*$/);
+          if (close && close[1][0] === fence[2][0] && close[1].length >= fence[2].length) break;
+          // Content is unindented by the fence's own indentation
+          code.push(lines[i].replace(new RegExp(`^ {0,${fence[1].length}}`), ''));
+        }
+        i++;
+        chunks.push({ type: 'code', lang: normalizeCodeLanguage(fence[3]), code: code.join('\n') });
+      } else if (setext) {
+        const text = paragraph.join(' ').trim();
+        paragraph = [];
+        chunks.push({ type: 'heading', level: setext[1][0] === '=' ? 1 : 2, text });
+        i++;
+      } else if (heading) {
+        flush();
+        chunks.push({ type: 'heading', level: heading[1].length, text: (heading[2] || '').trim() });
+        i++;
+      } else if (MARKDOWN_RULE.test(line)) {
+        flush();
+        chunks.push({ type: 'hr' });
+        i++;
+      } else if (/^ {0,3}>/.test(line)) {
+        flush();
+        const quote = [];
+        for (; i < lines.length && lines[i].trim(); i++) quote.push(lines[i].replace(/^ {0,3}> ?/, ''));
+        chunks.push({ type: 'blockquote', text: quote.join('\n') });
+      } else if (line.includes('|') && i + 1 < lines.length && MARKDOWN_TABLE_DELIMITER.test(lines[i + 1]) &&
+          splitTableRow(line).length === splitTableRow(lines[i + 1]).length) {
+        flush();
+        const header = splitTableRow(line);
+        const rows = [];
+        for (i += 2; i < lines.length && lines[i].trim() && lines[i].includes('|'); i++) {
+          const cells = splitTableRow(lines[i]).slice(0, header.length);
+          while (cells.length < header.length) cells.push('');
+          rows.push(cells);
+        }
+        chunks.push({ type: 'table', header, rows });
+      } else if (MARKDOWN_LIST_ITEM.test(line)) {
+        flush();
+        const block = [];
+        for (; i < lines.length; i++) {
+          const next = lines[i];
+          if (!next.trim()) {
+            // A blank line stays in the list when the list goes on after it
+            const following = lines.slice(i + 1).find(l => l.trim());
+            if (!following || !(MARKDOWN_LIST_ITEM.test(following) || /^ {2,}\S/.test(following))) break;
+          } else if (MARKDOWN_RULE.test(next) || /^ *(`{3,}|~{3,})/.test(next)) {
+            // Code inside an item ends the list (list items hold text only); numbering resumes after it
+            break;
+          } else if (!MARKDOWN_LIST_ITEM.test(next) && !/^ {2,}\S/.test(next)) {
+            // Unindented text continues the item's paragraph, unless a blank line or another block comes first
+            if (!block[block.length - 1].trim() || /^ {0,3}(#|>|`{3}|~{3})/.test(next)) break;
+          }
+          block.push(next);
+        }
+        chunks.push(...parseMarkdownList(block));
+      } else if (!paragraph.length && /^(?: {4}|\t)/.test(line)) {
+        const code = [];
+        for (; i < lines.length && (!lines[i].trim() || /^(?: {4}|\t)/.test(lines[i])); i++) code.push(lines[i].replace(/^(?: {4}|\t)/, ''));
+        while (code.length && !code[code.length - 1].trim()) code.pop();
+        chunks.push({ type: 'code', lang: null, code: code.join('\n') });
+      } else {
+        paragraph.push(line.replace(/^ {0,3}/, ''));
+        i++;
+      }
+    }
+    flush();
+    return chunks;
+  }
+
+  // "| a | b \| c |" -> ["a", "b | c"]
+  function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1')
+      .split(/(?<!\\)\|/)
+      .map(cell => cell.trim().replace(/\\\|/g, '|'));
+  }
+
+  /**
+   * List chunks from the lines of a Markdown list: items nest by indentation, continuation
+   * lines join their item's text, "[ ]" / "[x]" mark task items.
+   */
+  function parseMarkdownList(lines) {
+    const lists = [];
+    const stack = [];
+    const newList = marker => {
+      const ordered = /\d/.test(marker);
+      return { ordered, start: ordered ? parseInt(marker, 10) : 1, items: [] };
+    };
+    for (const line of lines) {
+      const match = line.match(MARKDOWN_LIST_ITEM);
+      const indent = line.match(/^ */)[0].length;
+      if (match) {
+        // Leave the nested lists this item is not part of
+        while (stack.length && indent < stack[stack.length - 1].markerIndent) stack.pop();
+        let level = stack[stack.length - 1];
+        if (!level || indent >= level.contentIndent) {
+          const list = newList(match[2]);
+          if (level) level.item.children.push(list);
+          else lists.push(list);
+          stack.push(level = { markerIndent: indent, list });
+        }
+        const task = (match[4] || '').match(/^\[([ xX])\][ \t]+(.*)$/);
+        level.item = { text: task ? task[2] : match[4] || '', checked: task ? task[1] !== ' ' : null, children: [] };
+        level.list.items.push(level.item);
+        level.contentIndent = indent + match[2].length + Math.min(4, (match[3] || ' ').length);
+      } else if (stack.length) {
+        // Continuation line (or blank line) of the deepest item it is indented under
+        while (stack.length > 1 && line.trim() && indent < stack[stack.length - 1].markerIndent) stack.pop();
+        const level = stack[stack.length - 1];
+        level.item.text += `\n${line.slice(Math.min(indent, level.contentIndent))}`;
+      }
+    }
+    const trim = list => list.items.forEach(item => {
+      item.text = item.text.replace(/\s+$/, '');
+      item.children.forEach(trim);
+    });
+    lists.forEach(trim);
+    return lists.map(list => ({ type: 'list', ...list }));
+  }
+
+  /**
+   * File view: the whole file as one fenced code block, titled with its path and tagged with
+   * the language of its extension (or a content-based guess).
+   * The text comes from the code view itself; rendered files (Markdown, notebooks) and views
+   * without a code view are read from the raw file instead.
+   */
+  async function extractGitHubFile(page) {
+    const { escapeMarkdown } = window.ContentExtractor;
+    const { path, ref } = getGitHubBlobLocation(page);
+    let code = readGitHubBlobText();
+    if (code === null) {
+      const response = await fetch(`https://github.com/${page.owner}/${page.repo}/raw/${page.rest}`, { credentials: 'omit' });
+      if (!response.ok) return null;
+      code = await response.text();
+    }
+    code = code.replace(/\r\n?/g, '\n').replace(/\n$/, '');
+    if (!code.trim()) return null;
+
+    const repository = `${page.owner}/${page.repo}`;
+    return {
+      chunks: [
+        { type: 'heading', level: 1, text: escapeMarkdown(path) },
+        { type: 'paragraph', text: `**Repository:** ${repository}${ref ? ` · **Ref:** \`${ref}\`` : ''} · **Lines:** ${code.split('\n').length}` },
+        { type: 'code', lang: getGitHubFileLanguage(path, code), code, title: path }
+      ],
+      title: `${path} · ${repository}`,
+      metadata: {
+        siteName: 'GitHub',
+        contentType: 'SourceCode'
+      }
+    };
+  }
+
+  /**
+   * Path and ref of a file view. The URL cannot tell "feature/x/src/a.js" apart, so the page's
+   * embedded data or its title ("repo/src/a.js at feature/x · owner/repo") decide; otherwise the
+   * first URL segment is taken as the ref.
+   */
+  function getGitHubBlobLocation(page) {
+    for (const script of document.querySelectorAll('script[type="application/json"][data-target="react-app.embeddedData"]')) {
+      try {
+        const payload = (JSON.parse(script.textContent || '{}') || {}).payload || {};
+        if (payload.path && payload.refInfo && payload.refInfo.name) return { path: payload.path, ref: payload.refInfo.name };
+      } catch (_) {
+        // Not the code view's data
+      }
+    }
+    const titled = document.title.match(/^(.+?) at (.+?) · /);
+    if (titled && titled[1].startsWith(`${page.repo}/`)) {
+      return { path: titled[1].slice(page.repo.length + 1), ref: titled[2] };
+    }
+    const slash = page.rest.indexOf('/');
+    return slash > 0 ? { path: page.rest.slice(slash + 1), ref: page.rest.slice(0, slash) } : { path: page.rest, ref: '' };
+  }
+
+  // File text of the code view (React view's hidden text area, or the classic line table); null if absent
+  function readGitHubBlobText() {
+    const textarea = document.querySelector('textarea#read-only-cursor-text-area');
+    if (textarea && textarea.value) return textarea.value;
+    const lines = document.querySelectorAll('table.js-file-line-container td.blob-code');
+    if (lines.length) return Array.from(lines).map(td => (td.textContent || '').replace(/\n$/, '')).join('\n');
+    return null;
+  }
+
+  function getGitHubFileLanguage(path, code) {
+    const { normalizeCodeLanguage, guessCodeLanguage } = window.ContentExtractor;
+    const name = path.split('/').pop().toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(GITHUB_FILE_NAMES, name)) return GITHUB_FILE_NAMES[name];
+    const ext = name.includes('.') ? name.split('.').pop() : '';
+    if (Object.prototype.hasOwnProperty.call(GITHUB_FILE_LANGUAGES, ext)) return GITHUB_FILE_LANGUAGES[ext];
+    if (/^[a-z][\w+-]{0,9}$/.test(ext)) return normalizeCodeLanguage(ext) || '';
+    return guessCodeLanguage(code) || '';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Q&A and forum threads: Stack Exchange, Discourse, Reddit
+  // ---------------------------------------------------------------------------
+
+  /**
+   * A thread is rendered as nested sections: the opening post and every answer or reply under a
+   * heading with its author, score, accepted-answer marker and time, replies one level below
+   * what they reply to (a "reply to @author" note keeps the nesting readable past H6).
+   * Bodies are chunks of the post element, or Markdown when the site's data provides it
+   * (parsed into chunks, see parseMarkdownBlocks).
+   * @typedef {{label:string, author?:string, score?:number, scoreUnit?:string, accepted?:boolean,
+   *   date?:string, replyTo?:string, chunks?:Array, markdown?:string, replies?:Array}} ThreadPost
+   */
+  function buildThreadChunks(title, summary, posts) {
+    const { escapeMarkdown } = window.ContentExtractor;
+    const chunks = [{ type: 'heading', level: 1, text: escapeMarkdown(title) }];
+    if (summary.length) chunks.push({ type: 'paragraph', text: summary.join(' · ') });
+    const visit = (post, depth) => {
+      const level = Math.min(6, 2 + depth);
+      const meta = [];
+      if (post.accepted) meta.push('✓ accepted');
+      if (post.author) meta.push(`@${escapeMarkdown(post.author)}`);
+      if (Number.isFinite(post.score)) meta.push(`${post.score} ${post.scoreUnit || 'point'}${Math.abs(post.score) === 1 ? '' : 's'}`);
+      if (post.date) meta.push(formatDateTime(post.date));
+      if (post.replyTo) meta.push(`reply to @${escapeMarkdown(post.replyTo)}`);
+      chunks.push({ type: 'heading', level, text: meta.length ? `${post.label} — ${meta.join(' · ')}` : post.label });
+      // Headings inside a post stay below the post's own heading
+      const body = post.chunks || parseMarkdownBlocks(post.markdown);
+      chunks.push(...body.map(c => (c.type === 'heading' ? { ...c, level: Math.min(6, c.level + level) } : c)));
+      (post.replies || []).forEach(reply => visit(reply, depth + 1));
+    };
+    posts.forEach(post => visit(post, 0));
+    return chunks;
+  }
+
+  // Result of a thread handler; rendered without the boilerplate filters, which strip "Comments" sections
+  function threadResult(title, summary, posts, metadata) {
+    return {
+      chunks: buildThreadChunks(title, summary, posts),
+      title,
+      authors: posts.length && posts[0].author ? [posts[0].author] : [],
+      metadata: { published: posts.length ? posts[0].date || '' : '', ...metadata },
+      filter: false
+    };
+  }
+
+  function elementText(root, selector) {
+    const el = root.querySelector(selector);
+    return el ? window.ContentExtractor.cleanInline(el.textContent || '') : '';
+  }
+
+  function parseCount(value) {
+    const n = parseInt(String(value || '').replace(/[^\d-]/g, ''), 10);
+    return Number.isFinite(n) ? n : undefined;
+  }
+
+  // "2012-06-27 13:51:36Z" (Stack Exchange title attributes) -> ISO 8601
+  function parseSpacedDate(value) {
+    const match = String(value || '').match(/\d{4}-\d\d-\d\d[ T]\d\d:\d\d(?::\d\d)?Z?/);
+    return match ? match[0].replace(' ', 'T') : '';
+  }
+
+  /**
+   * Stack Exchange (Stack Overflow, Super User, *.stackexchange.com, ...): the question and each
+   * answer with their votes, author, time and comments; the accepted answer is marked.
+   */
+  function extractStackExchangeThread() {
+    const question = document.querySelector('#question');
+    const title = elementText(document, '#question-header h1');
+    if (!question || !title) return null;
+
+    const readPost = (post, label) => {
+      const body = post.querySelector('.js-post-body, .post-text');
+      if (!body) return null;
+      // The author's signature is the last one (an editor's comes first)
+      const signatures = Array.from(post.querySelectorAll('.post-signature')).filter(s => !s.closest('.comments'));
+      const signature = post.querySelector('.post-signature.owner') || signatures[signatures.length - 1];
+      const time = signature && signature.querySelector('.relativetime[title], time[datetime]');
+      const votes = post.querySelector('.js-vote-count');
+      return {
+        label,
+        author: signature ? elementText(signature, '.user-details a[href*="/users/"], .user-details [itemprop="name"], .user-details') : '',
+        score: votes ? parseCount(votes.getAttribute('data-value') || votes.textContent) : undefined,
+        scoreUnit: 'vote',
+        accepted: post.classList.contains('accepted-answer') || post.getAttribute('itemprop') === 'acceptedAnswer',
+        date: time ? parseSpacedDate(time.getAttribute('title') || time.getAttribute('datetime')) : '',
+        chunks: window.ContentExtractor.chunkDomToSemanticBlocks(body),
+        replies: Array.from(post.querySelectorAll('.comments .comment, .js-comments-list .comment')).map(comment => {
+          const date = comment.querySelector('.comment-date [title], .relativetime-clean[title]');
+          const copy = comment.querySelector('.comment-copy');
+          return {
+            label: 'Comment',
+            author: elementText(comment, '.comment-user'),
+            score: parseCount(elementText(comment, '.comment-score')),
+            scoreUnit: 'vote',
+            date: date ? parseSpacedDate(date.getAttribute('title')) : '',
+            markdown: copy ? window.ContentExtractor.serializeInline(copy) : ''
+          };
+        }).filter(c => c.markdown)
+      };
+    };
+
+    const posts = [readPost(question, 'Question')];
+    document.querySelectorAll('#answers .answer').forEach(answer => posts.push(readPost(answer, 'Answer')));
+    const thread = posts.filter(Boolean);
+    if (!thread.length) return null;
+
+    const tags = Array.from(document.querySelectorAll('#question .post-taglist .post-tag, #question .js-post-tag-list-item .post-tag'))
+      .map(tag => window.ContentExtractor.cleanInline(tag.textContent || ''));
+    const answers = thread.length - 1;
+    const summary = [];
+    if (tags.length) summary.push(`**Tags:** ${tags.map(window.ContentExtractor.escapeMarkdown).join(', ')}`);
+    summary.push(`**Answers:** ${answers}${thread.some(p => p.accepted) ? ' (one accepted)' : ''}`);
+    const siteName = (document.querySelector('meta[property="og:site_name"]') || {}).content || location.hostname;
+    return threadResult(title, summary, thread, { siteName, contentType: 'QAPage' });
+  }
+
+  // Stack Exchange network hosts; self-hosted instances (Stack Overflow Enterprise) are recognized
+  // by the question page markup the handler reads
+  const STACK_EXCHANGE_HOSTS = /(^|\.)(stackoverflow\.com|stackexchange\.com|superuser\.com|serverfault\.com|askubuntu\.com|stackapps\.com|mathoverflow\.net)$/i;
+
+  function isStackExchange(url) {
+    if (!document.querySelector('#question')) return false;
+    if (STACK_EXCHANGE_HOSTS.test(url.hostname)) return true;
+    return !!(document.querySelector('#question .js-vote-count') && document.querySelector('#answers'));
+  }
+
+  function isDiscourse() {
+    const generator = document.querySelector('meta[name="generator"]');
+    return !!((generator && /discourse/i.test(generator.content)) || document.querySelector('#main-outlet .topic-post, #main-outlet .crawler-post'));
+  }
+
+  /**
+   * Discourse topic: the posts that are loaded (the app renders a window of the topic; the
+   * auto-scroll option loads the rest), in order, replies marked with whom they answer.
+   * Reads the app's post stream, or the server-rendered crawler view.
+   */
+  function extractDiscourseThread() {
+    const { chunkDomToSemanticBlocks } = window.ContentExtractor;
+    const title = elementText(document, '#topic-title .fancy-title, #topic-title h1, .topic-title h1, #main-outlet h1');
+    if (!title) return null;
+
+    const posts = [];
+    document.querySelectorAll('.topic-post article[data-post-id]').forEach(article => {
+      const body = article.querySelector('.cooked');
+      if (!body) return;
+      const time = article.querySelector('.post-date [data-time], .relative-date[data-time]');
+      const likes = article.querySelector('.like-count, .double-button .like-count');
+      const numbered = article.closest('[data-post-number]');
+      posts.push({
+        author: elementText(article, '.names .first a, .names .username a, .username a'),
+        score: likes ? parseCount(likes.textContent) : undefined,
+        date: time ? new Date(parseInt(time.getAttribute('data-time'), 10)).toISOString() : '',
+        replyTo: elementText(article, '.reply-to-tab').replace(/^@/, ''),
+        number: numbered ? numbered.getAttribute('data-post-number') : '',
+        chunks: chunkDomToSemanticBlocks(body)
+      });
+    });
+    if (!posts.length) {
+      document.querySelectorAll('#main-outlet .crawler-post').forEach(post => {
+        const body = post.querySelector('[itemprop="text"], .post');
+        if (!body) return;
+        const time = post.querySelector('time[itemprop="datePublished"], time[datetime]');
+        const likes = post.querySelector('[itemprop="interactionStatistic"] [itemprop="userInteractionCount"]');
+        posts.push({
+          author: elementText(post, '[itemprop="author"] [itemprop="name"], .creator [itemprop="name"], .creator a'),
+          score: likes ? parseCount(likes.getAttribute('content')) : undefined,
+          date: time ? time.getAttribute('datetime') || '' : '',
+          replyTo: '',
+          number: ((post.querySelector('[itemprop="position"]') || {}).content) || '',
+          chunks: chunkDomToSemanticBlocks(body)
+        });
+      });
+    }
+    if (!posts.length) return null;
+
+    const [first, ...replies] = posts.map((post, i) => ({
+      ...post,
+      label: i === 0 ? 'Original post' : `Post #${post.number || i + 1}`,
+      scoreUnit: 'like'
+    }));
+    first.replies = replies;
+    const category = elementText(document, '#topic-title .badge-category__name, #topic-title .category-name, .topic-category .badge-category__name');
+    const summary = [];
+    if (category) summary.push(`**Category:** ${window.ContentExtractor.escapeMarkdown(category)}`);
+    summary.push(`**Posts:** ${posts.length}`);
+    const siteName = (document.querySelector('meta[property="og:site_name"]') || {}).content || location.hostname;
+    return threadResult(title, summary, [first], { siteName, contentType: 'DiscussionForumPosting' });
+  }
+
+  /**
+   * Reddit post with its comment tree, from the thread's JSON listing (Markdown bodies, scores,
+   * nested replies); falls back to the comments rendered on the page.
+   */
+  async function extractRedditThread(url) {
+    let data = null;
+    try {
+      const response = await fetch(`${location.origin}${url.pathname.replace(/\/$/, '')}.json?raw_json=1&limit=500`, { credentials: 'include' });
+      if (response.ok) data = await response.json();
+    } catch (e) {
+      console.warn('Reddit listing could not be read; reading the page instead:', e);
+    }
+    const listing = Array.isArray(data) && data[0] && data[0].data && data[0].data.children[0];
+    if (!listing) return readRedditPage();
+
+    const post = listing.data;
+    const toComment = (child, parentAuthor) => {
+      if (child.kind === 'more') {
+        return child.data.count ? { label: `${child.data.count} more repl${child.data.count === 1 ? 'y' : 'ies'} not loaded`, replies: [] } : null;
+      }
+      if (child.kind !== 't1') return null;
+      const c = child.data;
+      const children = c.replies && c.replies.data ? c.replies.data.children : [];
+      return {
+        label: parentAuthor ? 'Reply' : 'Comment',
+        author: c.author,
+        score: c.score_hidden ? undefined : c.score,
+        date: new Date(c.created_utc * 1000).toISOString(),
+        replyTo: parentAuthor,
+        markdown: c.body || '',
+        replies: children.map(r => toComment(r, c.author)).filter(Boolean)
+      };
+    };
+    const comments = (data[1] && data[1].data ? data[1].data.children : []).map(child => toComment(child, '')).filter(Boolean);
+    const body = [post.selftext || ''];
+    if (!post.is_self && post.url) body.unshift(`<${post.url}>`);
+    const summary = [`**Subreddit:** ${post.subreddit_name_prefixed}`];
+    if (post.link_flair_text) summary.push(`**Flair:** ${window.ContentExtractor.escapeMarkdown(post.link_flair_text)}`);
+    summary.push(`**Comments:** ${post.num_comments}`);
+    const opening = {
+      label: 'Post',
+      author: post.author,
+      score: post.score,
+      date: new Date(post.created_utc * 1000).toISOString(),
+      markdown: body.filter(Boolean).join('\n\n'),
+      replies: comments
+    };
+    return threadResult(post.title, summary, [opening], { siteName: 'Reddit', contentType: 'DiscussionForumPosting' });
+  }
+
+  // Post and comment tree rendered by Reddit's web components
+  function readRedditPage() {
+    const { chunkDomToSemanticBlocks } = window.ContentExtractor;
+    const post = document.querySelector('shreddit-post');
+    if (!post) return null;
+    // The comment's own elements, not those of its nested replies
+    const own = (comment, selector) => Array.from(comment.querySelectorAll(selector))
+      .find(el => el.parentElement.closest('shreddit-comment') === comment) || null;
+    const readComment = (comment, parentAuthor) => {
+      const body = own(comment, '[slot="comment"]');
+      const time = own(comment, 'faceplate-timeago[ts], time[datetime]');
+      const author = comment.getAttribute('author') || '';
+      return {
+        label: parentAuthor ? 'Reply' : 'Comment',
+        author,
+        score: parseCount(comment.getAttribute('score')),
+        date: time ? time.getAttribute('ts') || time.getAttribute('datetime') : '',
+        replyTo: parentAuthor,
+        chunks: body ? chunkDomToSemanticBlocks(body) : [],
+        replies: Array.from(comment.querySelectorAll('shreddit-comment'))
+          .filter(c => c.parentElement.closest('shreddit-comment') === comment)
+          .map(c => readComment(c, author))
+      };
+    };
+    const comments = Array.from(document.querySelectorAll('shreddit-comment'))
+      .filter(c => !c.parentElement.closest('shreddit-comment'))
+      .map(c => readComment(c, ''));
+    const body = post.querySelector('[slot="text-body"]');
+    const opening = {
+      label: 'Post',
+      author: post.getAttribute('author') || '',
+      score: parseCount(post.getAttribute('score')),
+      date: post.getAttribute('created-timestamp') || '',
+      chunks: body ? chunkDomToSemanticBlocks(body) : [],
+      replies: comments
+    };
+    const summary = [`**Subreddit:** ${post.getAttribute('subreddit-prefixed-name') || ''}`, `**Comments:** ${post.getAttribute('comment-count') || comments.length}`];
+    return threadResult(post.getAttribute('post-title') || document.title, summary, [opening], { siteName: 'Reddit', contentType: 'DiscussionForumPosting' });
+  }
+
+  // Export for extraction-runner.js
+  window.SiteHandlers = {
+    extractSiteContent,
+    handlers: SITE_HANDLERS,
+    parseJsonAssignment,
+    parseGitHubUrl,
+    parseMarkdownBlocks,
+    formatTimestamp,
+    parseTimestamp
+  };
+})();
@@ -0,0 +1,116 @@
+// Token Counter - local token estimates for sizing prompts against model context windows
+// Loaded by sidebar.html, background.js (importScripts) and injected next to content-extractor.js,
+// so the same estimate drives the sidebar statistics, Alt+E and the extractor's token budget.
+//
+// No vocabulary files are bundled: text is split the way byte-pair tokenizers pre-split it
+// (words with their leading space, digit groups, punctuation runs, whitespace runs) and each
+// piece is costed with per-family rates for English words, other alphabets and CJK text.
+// The counts are approximations for sizing prompts, not the model's exact tokenization.
+
+(function(root) {
+  'use strict';
+
+  /**
+   * Tokenizer families.
+   * wordChars: letters a single word token covers; subwordChars: letters per extra token of a long word;
+   * otherChars: characters per token in non-Latin alphabets; cjkTokens: tokens per CJK character;
+   * scale: overall correction against the family's real tokenizer.
+   */
+  const MODEL_FAMILIES = {
+    'gpt-4o': { label: 'GPT-4o / o-series (o200k)', wordChars: 8, subwordChars: 6, otherChars: 3.5, cjkTokens: 0.7, scale: 1 },
+    'gpt-4': { label: 'GPT-4 / GPT-3.5 (cl100k)', wordChars: 7, subwordChars: 5, otherChars: 2, cjkTokens: 1.1, scale: 1 },
+    claude: { label: 'Claude', wordChars: 7, subwordChars: 5, otherChars: 2.2, cjkTokens: 1.1, scale: 1.12 },
+    llama: { label: 'Llama 3', wordChars: 8, subwordChars: 6, otherChars: 3, cjkTokens: 0.9, scale: 1 },
+    gemini: { label: 'Gemini', wordChars: 8, subwordChars: 6, otherChars: 3.5, cjkTokens: 0.6, scale: 0.95 }
+  };
+
+  const DEFAULT_MODEL_FAMILY = 'gpt-4o';
+
+  // Byte-pair pre-tokenization: contractions, words (with one leading non-letter), 1-3 digits,
+  // punctuation runs, line breaks and other whitespace
+  const PIECE_PATTERN = /'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+/gu;
+  const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/u;
+  const LATIN_PATTERN = /^[^\p{L}]?[A-Za-zÀ-ɏ]+$/u;
+
+  function getFamily(family) {
+    return MODEL_FAMILIES[family] || MODEL_FAMILIES[DEFAULT_MODEL_FAMILY];
+  }
+
+  /**
+   * Estimated token count of a text for a model family.
+   * @param {string} text
+   * @param {string} [family] key of MODEL_FAMILIES (default DEFAULT_MODEL_FAMILY)
+   * @returns {number}
+   */
+  function estimateTokens(text, family) {
+    if (!text) return 0;
+    const f = getFamily(family);
+    let tokens = 0;
+    for (const [piece] of String(text).matchAll(PIECE_PATTERN)) {
+      if (/^\s+$/.test(piece)) {
+        // Line breaks and indentation runs merge into few tokens
+        tokens += /[\r\n]/.test(piece) ? 1 : Math.ceil(piece.length / 8);
+      } else if (/\p{L}/u.test(piece)) {
+        tokens += estimateWordTokens(piece, f);
+      } else if (/^\p{N}+$/u.test(piece)) {
+        tokens += 1;
+      } else {
+        // Punctuation and symbols: common pairs ("](", "**", "``") are single tokens
+        tokens += Math.ceil(piece.trim().length / 2) || 1;
+      }
+    }
+    return Math.round(tokens * f.scale);
+  }
+
+  function estimateWordTokens(piece, f) {
+    if (LATIN_PATTERN.test(piece)) {
+      const letters = piece.replace(/^[^\p{L}]/u, '').length;
+      return letters <= f.wordChars ? 1 : 1 + Math.ceil((letters - f.wordChars) / f.subwordChars);
+    }
+    let cjk = 0;
+    let other = 0;
+    for (const ch of piece) {
+      if (CJK_PATTERN.test(ch)) cjk++;
+      else other++;
+    }
+    return Math.max(1, Math.ceil(cjk * f.cjkTokens + other / f.otherChars));
+  }
+
+  /**
+   * Character, word and token counts of a text.
+   * @returns {{characters:number, words:number, tokens:number}}
+   */
+  function measureText(text, family) {
+    const value = String(text || '');
+    return {
+      characters: value.length,
+      words: (value.match(/[\p{L}\p{N}][\p{L}\p{N}'’_-]*/gu) || []).length,
+      tokens: estimateTokens(value, family)
+    };
+  }
+
+  /**
+   * Split extracted Markdown into its YAML front matter block and the body.
+   * @returns {{frontMatter:string, body:string}}
+   */
+  function splitFrontMatter(markdown) {
+    const text = String(markdown || '');
+    const match = text.match(/^---\n[\s\S]*?\n---\n+/);
+    return match ? { frontMatter: match[0], body: text.slice(match[0].length) } : { frontMatter: '', body: text };
+  }
+
+  // "12345" -> "12,345"
+  function formatCount(n) {
+    return Number(n || 0).toLocaleString('en-US');
+  }
+
+  // Export for the sidebar, the service worker and the page extractor
+  root.TokenCounter = {
+    MODEL_FAMILIES,
+    DEFAULT_MODEL_FAMILY,
+    estimateTokens,
+    measureText,
+    splitFrontMatter,
+    formatCount
+  };
+})(typeof window !== 'undefined' ? window : self);